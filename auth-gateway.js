@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * Authentication gateway for the Chrome debugger proxy
+ *
+ * An nginx auth_request backend: nginx asks it about every /json* request
+ * and WebSocket upgrade before proxying to Chrome (see
+ * chrome-debugger-auth.conf). A request is allowed with either
+ *
+ *   - a bearer token: `Authorization: Bearer <token>`, or `?token=<token>` for
+ *     clients that cannot set headers
+ *   - an HMAC-signed, short-lived URL: `?expires=<unix time>&signature=<sig>`,
+ *     optionally with `scope=<path prefix>` to cover several paths, as made by
+ *     `node auth-gateway.js sign <path>`
+ *
+ * Tokens come from AUTH_TOKENS ("name:token,name:token") or AUTH_TOKENS_FILE
+ * (one "name:token" per line); the signing key from AUTH_SECRET.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const querystring = require('querystring');
+const url = require('url');
+const { program } = require('commander');
+const chalk = require('chalk');
+
+const DEFAULT_PORT = 9230;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Lifetime of URLs made by `sign`, and the longest accepted, in seconds
+const DEFAULT_SIGNED_URL_TTL = 300;
+const DEFAULT_MAX_SIGNED_URL_TTL = 3600;
+
+// Query parameters that carry a token or a URL signature
+const CREDENTIAL_PARAMS = ['token', 'signature', 'expires', 'scope'];
+
+/**
+ * Parse "name:token" entries (comma or newline separated) into a map of
+ * token to name. Entries without a name are called token-1, token-2, ...
+ */
+function parseTokens(spec) {
+    const tokens = new Map();
+    String(spec || '').split(/[,\n]/).map(entry => entry.trim()).filter(entry => entry && !entry.startsWith('#')).forEach((entry) => {
+        const separator = entry.indexOf(':');
+        const name = separator > 0 ? entry.slice(0, separator) : `token-${tokens.size + 1}`;
+        const token = separator > 0 ? entry.slice(separator + 1) : entry;
+        tokens.set(token, name);
+    });
+    return tokens;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Percent-decode a path until it stops changing (at most three rounds, to
+ * see through double encoding), or return null if it does not decode
+ */
+function decodePath(pathname) {
+    let decoded = pathname;
+    for (let round = 0; round < 3; round++) {
+        let next;
+        try {
+            next = decodeURIComponent(decoded);
+        } catch (error) {
+            return null;
+        }
+        if (next === decoded) {
+            break;
+        }
+        decoded = next;
+    }
+    return decoded;
+}
+
+/**
+ * Whether a decoded path has "." or ".." segments. nginx and Chrome resolve
+ * them, so "/devtools/../json/new" would match the scope /devtools/ and then
+ * open a target.
+ */
+function hasDotSegments(decoded) {
+    return decoded.split(/[/\\]/).some(segment => segment === '.' || segment === '..');
+}
+
+/**
+ * Whether a path is under a signed scope. The scope ends at a "/" boundary:
+ * /devtools covers /devtools and /devtools/page/1, but not /devtools-x.
+ */
+function inScope(pathname, scope) {
+    if (pathname === scope) {
+        return true;
+    }
+    return pathname.startsWith(scope.endsWith('/') ? scope : `${scope}/`);
+}
+
+/**
+ * A request URL without its credential query parameters, for passing the
+ * request on to Chrome. Other parameters are kept as they were written, since
+ * /json/new takes the raw query as the page URL.
+ */
+function stripCredentials(requestUrl) {
+    const start = requestUrl.indexOf('?');
+    if (start < 0) {
+        return requestUrl;
+    }
+    // Names are decoded the way verify() reads them, so "t%6Fken=" goes too
+    const kept = requestUrl.slice(start + 1).split('&')
+        .filter(part => !Object.keys(querystring.parse(part)).some(name => CREDENTIAL_PARAMS.includes(name)));
+    return kept.length > 0 ? `${requestUrl.slice(0, start)}?${kept.join('&')}` : requestUrl.slice(0, start);
+}
+
+class AuthVerifier {
+    constructor({ tokens = new Map(), secret = null, maxTtl = DEFAULT_MAX_SIGNED_URL_TTL } = {}) {
+        // Compared as digests so every comparison takes the same time
+        this.tokens = [...tokens].map(([token, name]) => ({ digest: digest(token), name }));
+        this.secret = secret;
+        this.maxTtl = maxTtl;
+    }
+
+    /**
+     * Verifier configured from the environment, e.g. AUTH_TOKENS and
+     * AUTH_SECRET for prefix 'AUTH'; null if neither is set
+     */
+    static fromEnv(prefix = 'AUTH', env = process.env) {
+        const tokens = parseTokens(env[`${prefix}_TOKENS`]);
+        const file = env[`${prefix}_TOKENS_FILE`];
+        if (file) {
+            parseTokens(fs.readFileSync(file, 'utf8')).forEach((name, token) => tokens.set(token, name));
+        }
+        const secret = env[`${prefix}_SECRET`] || null;
+        if (tokens.size === 0 && !secret) {
+            return null;
+        }
+        const maxTtl = env[`${prefix}_MAX_TTL`] !== undefined ? Number(env[`${prefix}_MAX_TTL`]) : DEFAULT_MAX_SIGNED_URL_TTL;
+        return new AuthVerifier({ tokens, secret, maxTtl });
+    }
+
+    /**
+     * Check a request, given as its URI and headers. Returns
+     * { ok: true, identity, method } or { ok: false, status, reason }.
+     */
+    verify(uri, headers = {}) {
+        const parsed = url.parse(uri, true);
+        const authorization = headers.authorization || '';
+
+        if (authorization) {
+            const match = authorization.match(/^Bearer\s+(\S+)$/i);
+            if (!match) {
+                return { ok: false, status: 401, reason: 'Unsupported Authorization scheme' };
+            }
+            return this.checkToken(match[1], 'bearer');
+        }
+        if (typeof parsed.query.token === 'string') {
+            return this.checkToken(parsed.query.token, 'query');
+        }
+        if (parsed.query.signature !== undefined) {
+            return this.checkSignature(parsed.pathname, parsed.query);
+        }
+        return { ok: false, status: 401, reason: 'No token or signature' };
+    }
+
+    checkToken(token, method) {
+        const candidate = digest(token);
+        const match = this.tokens.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+        return match
+            ? { ok: true, identity: match.name, method }
+            : { ok: false, status: 401, reason: 'Invalid token' };
+    }
+
+    checkSignature(pathname, query) {
+        if (!this.secret) {
+            return { ok: false, status: 401, reason: 'Signed URLs are not enabled' };
+        }
+        const expires = Number(query.expires);
+        const scope = typeof query.scope === 'string' ? query.scope : pathname;
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isInteger(expires) || typeof query.signature !== 'string') {
+            return { ok: false, status: 401, reason: 'Malformed signed URL' };
+        }
+        const decodedPath = decodePath(pathname);
+        const decodedScope = decodePath(scope);
+        if (decodedPath === null || decodedScope === null) {
+            return { ok: false, status: 403, reason: 'Malformed percent-encoding in path' };
+        }
+        // Encoded dot segments (%2e%2e, ..%2f) count too
+        if (hasDotSegments(decodedPath) || hasDotSegments(decodedScope)) {
+            return { ok: false, status: 403, reason: 'Signed URLs cannot use dot segments' };
+        }
+        if (!inScope(pathname, scope)) {
+            return { ok: false, status: 403, reason: `Path is outside the signed scope ${JSON.stringify(scope)}` };
+        }
+
+        const expected = Buffer.from(this.signature(scope, expires));
+        const actual = Buffer.from(query.signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { ok: false, status: 401, reason: 'Invalid signature' };
+        }
+        if (expires <= now) {
+            return { ok: false, status: 403, reason: 'Signed URL expired' };
+        }
+        if (expires > now + this.maxTtl) {
+            return { ok: false, status: 403, reason: `Signed URL lives longer than ${this.maxTtl}s` };
+        }
+        return { ok: true, identity: `signed:${scope}`, method: 'signature' };
+    }
+
+    signature(scope, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${scope}\n${expires}`).digest('base64url');
+    }
+
+    /**
+     * Sign a path (which may already carry a query string) for `ttl` seconds.
+     * With `scope`, the signature covers every path under that prefix.
+     */
+    sign(path, { ttl = DEFAULT_SIGNED_URL_TTL, scope = null } = {}) {
+        if (!this.secret) {
+            throw new Error('A secret is required to sign URLs');
+        }
+        const parsed = url.parse(path);
+        const expires = Math.floor(Date.now() / 1000) + ttl;
+        const params = new URLSearchParams(parsed.query || '');
+        if (scope) {
+            params.set('scope', scope);
+        }
+        params.set('expires', String(expires));
+        params.set('signature', this.signature(scope || parsed.pathname, expires));
+        return `${parsed.pathname}?${params}`;
+    }
+}
+
+/**
+ * The auth_request endpoint: 204 to allow, 401/403 to deny. nginx passes
+ * the original request URI in X-Original-URI.
+ */
+function startGateway(verifier, { port, host }) {
+    const server = http.createServer((req, res) => {
+        const pathname = url.parse(req.url).pathname;
+        if (pathname === '/health') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('auth gateway healthy\n');
+            return;
+        }
+        if (pathname !== '/auth') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found\n');
+            return;
+        }
+
+        const uri = req.headers['x-original-uri'] || '/';
+        const client = req.headers['x-real-ip'] || req.socket.remoteAddress;
+        const result = verifier.verify(uri, req.headers);
+        if (result.ok) {
+            res.writeHead(204, { 'X-Auth-User': result.identity, 'X-Auth-Method': result.method });
+            res.end();
+            return;
+        }
+
+        console.log(`${new Date().toISOString()} - Denied ${req.headers['x-original-method'] || 'GET'} ${uri.split('?')[0]} from ${client}: ${result.reason}`);
+        // The reason can quote the request (e.g. its scope), so it stays out of the header
+        res.writeHead(result.status, {
+            'Content-Type': 'text/plain',
+            'WWW-Authenticate': 'Bearer realm="chrome-debugger", error="invalid_token", error_description="invalid or expired token"'
+        });
+        res.end(`${result.reason}\n`);
+    });
+
+    server.listen(port, host, () => {
+        console.log(chalk.blue(`Auth gateway listening on http://${host}:${port}/auth`));
+        console.log(chalk.blue(`${verifier.tokens.length} token(s), signed URLs ${verifier.secret ? `enabled (up to ${verifier.maxTtl}s)` : 'disabled'}`));
+    });
+    return server;
+}
+
+if (require.main === module) {
+    program
+        .name('auth-gateway')
+        .description('Token and signed-URL authentication for the Chrome debugger proxy (nginx auth_request backend)')
+        .option('-p, --port <port>', 'Port to listen on', (val) => parseInt(val), DEFAULT_PORT)
+        .option('-h, --host <host>', 'Address to listen on', DEFAULT_HOST)
+        .action((options) => {
+            let verifier;
+            try {
+                verifier = AuthVerifier.fromEnv();
+            } catch (error) {
+                console.error(chalk.red(`Cannot load tokens: ${error.message}`));
+                process.exit(1);
+            }
+            if (!verifier) {
+                console.error(chalk.red('Set AUTH_TOKENS, AUTH_TOKENS_FILE or AUTH_SECRET'));
+                process.exit(1);
+            }
+            startGateway(verifier, options);
+        });
+
+    program
+        .command('sign <path>')
+        .description('Print a signed URL for a path such as /json/list or /devtools/page/<id> (needs AUTH_SECRET)')
+        .option('--ttl <seconds>', 'Seconds until the URL expires', (val) => parseInt(val), DEFAULT_SIGNED_URL_TTL)
+        .option('--scope <prefix>', 'Sign a path prefix instead, e.g. / or /devtools/')
+        .option('--base <url>', 'Prefix the output with the proxy address, e.g. http://ec2-host:9223')
+        .action((path, options) => {
+            if (!process.env.AUTH_SECRET) {
+                console.error(chalk.red('AUTH_SECRET is not set'));
+                process.exit(1);
+            }
+            const verifier = new AuthVerifier({ secret: process.env.AUTH_SECRET });
+            const signed = verifier.sign(path, { ttl: options.ttl, scope: options.scope });
+            console.log(options.base ? `${options.base.replace(/\/$/, '')}${signed}` : signed);
+        });
+
+    program.parse();
+
+    process.on('SIGINT', () => process.exit(0));
+    process.on('SIGTERM', () => process.exit(0));
+}
+
+module.exports = AuthVerifier;
+module.exports.parseTokens = parseTokens;
+module.exports.startGateway = startGateway;
+module.exports.stripCredentials = stripCredentials;
@@ -0,0 +1,747 @@
+#!/usr/bin/env node
+
+/**
+ * Browser Pool with a Lease API
+ *
+ * Keeps POOL_SIZE browsers warm and hands each one out whole, for a limited
+ * time, through `POST /leases`. A lease comes back with WebSocket URLs on
+ * this server (served by MultiplexProxy under /browser/<lease id>/), so the
+ * browsers themselves never need to be reachable. When a lease is released
+ * or expires, its targets are closed, the browser is killed with its whole
+ * process group, its user-data dir is removed and a fresh browser is started.
+ *
+ * Backends:
+ *   chrome  real Chrome, started with start-chrome.sh --port <port> --user-data <dir>
+ *   mock    mock-chrome-debugger.js, one process per browser, for offline testing
+ *
+ * Browsers left running by a pool that crashed are found through the state
+ * file and killed at startup; browsers that stop answering are replaced.
+ *
+ * Author: Terragon Labs
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const MultiplexProxy = require('./multiplex-proxy');
+const { rewriteTargetUrls, publicBase, sendJson, sendText } = require('./proxy-utils');
+
+function envNumber(name, fallback) {
+    return process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+}
+
+const PORT = process.env.PORT || 9227;
+const HOST = process.env.HOST || '0.0.0.0';
+
+const DEFAULT_OPTIONS = {
+    backend: 'chrome',
+    // Idle browsers kept ready, and the most browsers running at once
+    size: 2,
+    max: 10,
+    // Browsers listen on ports from this range, which should not be open to clients
+    basePort: 9300,
+    portRange: 100,
+    dataDir: '/tmp/chrome-pool',
+    chromeScript: path.join(__dirname, 'start-chrome.sh'),
+    mockScript: path.join(__dirname, 'mock-chrome-debugger.js'),
+    // Lease lifetime in seconds when none is asked for, and the longest allowed
+    leaseTtl: 600,
+    maxLeaseTtl: 3600,
+    // How long a browser may take to answer /json/version after starting (ms)
+    startupTimeout: 60000,
+    // Time between health checks, and failed checks before a browser is replaced
+    checkInterval: 10000,
+    maxHealthFailures: 3,
+    // Time a process group gets to exit after SIGTERM before SIGKILL (ms)
+    killGrace: 5000,
+    // Wait after a failed start, doubled per failure in a row up to the max (ms)
+    minRestartDelay: 1000,
+    maxRestartDelay: 60000
+};
+
+// Requests to a browser's own /json endpoints
+const BROWSER_REQUEST_TIMEOUT_MS = 3000;
+
+function fetchJson(port, pathname, timeout = BROWSER_REQUEST_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: pathname, timeout }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`${pathname}: HTTP ${res.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(body));
+                } catch (error) {
+                    reject(new Error(`${pathname}: ${error.message}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`${pathname}: timed out after ${timeout}ms`)));
+        req.on('error', reject);
+    });
+}
+
+function isPortFree(port) {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+    });
+}
+
+// The user-data dir goes when a start fails, so its log is quoted instead
+function lastLogLine(instance) {
+    try {
+        const lines = fs.readFileSync(path.join(instance.dataDir, 'browser.log'), 'utf8').trim().split('\n');
+        // Without start-chrome.sh's colour codes
+        return lines[lines.length - 1].replace(/\x1b\[[0-9;]*m/g, '') || 'no output';
+    } catch (error) {
+        return 'no output';
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Browsers are started in their own process group (detached), so Chrome's
+// helper processes and start-chrome.sh's children go with them
+function signalGroup(pid, signal) {
+    try {
+        process.kill(-pid, signal);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Whether a pid from the state file is still the process we started, and
+ * not an unrelated one that reused the pid after a reboot
+ */
+function isOurProcess(pid, command) {
+    try {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').includes(path.basename(command));
+    } catch (error) {
+        // No /proc on this system: the signal check alone has to do
+        return error.code !== 'ENOENT' || !fs.existsSync('/proc');
+    }
+}
+
+class BrowserPool extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!['chrome', 'mock'].includes(this.options.backend)) {
+            throw new Error(`Unknown pool backend ${this.options.backend}: use chrome or mock`);
+        }
+        this.stateFile = path.join(this.options.dataDir, 'pool-state.json');
+        // id -> { id, port, dataDir, pid, child, state, startedAt, readyAt, lease, healthFailures, command }
+        this.instances = new Map();
+        // lease id -> { id, instance, createdAt, expiresAt, ttl, timer }
+        this.leases = new Map();
+        this.stats = { started: 0, failedStarts: 0, leases: 0, released: 0, expired: 0, lost: 0, unhealthy: 0, leakedKilled: 0 };
+        this.failuresInARow = 0;
+        this.nextStartAt = 0;
+        this.refillTimer = null;
+        this.checkTimer = null;
+        this.stopped = false;
+    }
+
+    log(message) {
+        console.log(`${new Date().toISOString()} - ${message}`);
+    }
+
+    /**
+     * Kill browsers a previous run left behind, then start filling the pool
+     */
+    start() {
+        fs.mkdirSync(this.options.dataDir, { recursive: true });
+        this.killLeaked();
+        this.refill();
+        this.checkTimer = setInterval(() => this.checkHealth(), this.options.checkInterval);
+        return this;
+    }
+
+    /**
+     * End every lease and stop every browser
+     */
+    async stop() {
+        this.stopped = true;
+        clearInterval(this.checkTimer);
+        clearTimeout(this.refillTimer);
+        [...this.leases.keys()].forEach(id => this.endLease(id, 'shutdown', false));
+        await Promise.all([...this.instances.values()].map(instance => this.stopInstance(instance, 'pool shutting down')));
+        fs.rmSync(this.stateFile, { force: true });
+    }
+
+    /**
+     * Process groups and user-data dirs from the state file of a pool that
+     * did not shut down cleanly
+     */
+    killLeaked() {
+        let entries = [];
+        try {
+            entries = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            // No state file: nothing was left running
+        }
+        entries.forEach((entry) => {
+            if (signalGroup(entry.pid, 0) && isOurProcess(entry.pid, entry.command)) {
+                signalGroup(entry.pid, 'SIGKILL');
+                this.stats.leakedKilled++;
+                this.log(`Killed leaked browser on port ${entry.port} (process group ${entry.pid})`);
+            }
+            fs.rmSync(entry.dataDir, { recursive: true, force: true });
+        });
+        this.saveState();
+    }
+
+    saveState() {
+        const entries = [...this.instances.values()]
+            .filter(instance => instance.pid)
+            .map(({ id, pid, port, dataDir, command }) => ({ id, pid, port, dataDir, command }));
+        fs.writeFileSync(this.stateFile, JSON.stringify(entries, null, 2));
+    }
+
+    /**
+     * Start browsers until POOL_SIZE are idle or starting, within POOL_MAX,
+     * waiting out the restart delay after failed starts
+     */
+    refill() {
+        if (this.stopped) {
+            return;
+        }
+        const running = [...this.instances.values()].filter(instance => instance.state !== 'stopping');
+        const warm = running.filter(instance => instance.state === 'ready' || instance.state === 'starting').length;
+        const missing = Math.min(this.options.size - warm, this.options.max - running.length);
+        if (missing <= 0) {
+            return;
+        }
+
+        const wait = this.nextStartAt - Date.now();
+        if (wait > 0) {
+            if (!this.refillTimer) {
+                this.refillTimer = setTimeout(() => {
+                    this.refillTimer = null;
+                    this.refill();
+                }, wait);
+            }
+            return;
+        }
+        for (let i = 0; i < missing; i++) {
+            this.startInstance();
+        }
+    }
+
+    async startInstance() {
+        const id = `instance-${crypto.randomBytes(4).toString('hex')}`;
+        const instance = {
+            id,
+            port: null,
+            dataDir: path.join(this.options.dataDir, id),
+            pid: null,
+            child: null,
+            state: 'starting',
+            startedAt: new Date().toISOString(),
+            readyAt: null,
+            lease: null,
+            healthFailures: 0,
+            command: this.options.backend === 'mock' ? this.options.mockScript : this.options.chromeScript
+        };
+        this.instances.set(id, instance);
+
+        try {
+            instance.port = await this.allocatePort(instance);
+            fs.mkdirSync(instance.dataDir, { recursive: true });
+            this.spawnBrowser(instance);
+            await this.waitReady(instance);
+        } catch (error) {
+            this.stats.failedStarts++;
+            this.failuresInARow++;
+            const wait = Math.min(this.options.minRestartDelay * 2 ** (this.failuresInARow - 1), this.options.maxRestartDelay);
+            this.nextStartAt = Date.now() + wait;
+            this.log(`Browser ${id} failed to start: ${error.message} (next start in ${wait}ms)`);
+            await this.stopInstance(instance, 'failed to start');
+            return;
+        }
+
+        instance.state = 'ready';
+        instance.readyAt = new Date().toISOString();
+        this.failuresInARow = 0;
+        this.stats.started++;
+        this.log(`Browser ${id} ready on port ${instance.port}`);
+        this.emit('ready', instance);
+    }
+
+    /**
+     * Lowest free port in the range. The port is claimed on the instance
+     * before checking, so browsers starting at once never pick the same one.
+     */
+    async allocatePort(instance) {
+        const { basePort, portRange } = this.options;
+        for (let port = basePort; port < basePort + portRange; port++) {
+            if ([...this.instances.values()].some(other => other !== instance && other.port === port)) {
+                continue;
+            }
+            instance.port = port;
+            if (await isPortFree(port)) {
+                return port;
+            }
+        }
+        instance.port = null;
+        throw new Error(`No free port in ${basePort}-${basePort + portRange - 1}`);
+    }
+
+    spawnBrowser(instance) {
+        const logFd = fs.openSync(path.join(instance.dataDir, 'browser.log'), 'a');
+        const [command, args, env] = this.options.backend === 'mock'
+            ? [process.execPath, [instance.command], { PORT: String(instance.port), HOST: '127.0.0.1', BROWSER_ID: instance.id }]
+            : [instance.command, ['--port', String(instance.port), '--user-data', instance.dataDir], {}];
+
+        const child = spawn(command, args, { detached: true, stdio: ['ignore', logFd, logFd], env: { ...process.env, ...env } });
+        fs.closeSync(logFd);
+        instance.child = child;
+        instance.pid = child.pid;
+        this.saveState();
+
+        child.on('error', (error) => {
+            this.log(`Browser ${instance.id} could not be started: ${error.message}`);
+        });
+        child.on('exit', (code, signal) => {
+            instance.exited = true;
+            if (instance.state === 'stopping') {
+                return;
+            }
+            this.log(`Browser ${instance.id} exited (${signal || `code ${code}`})`);
+            if (instance.lease) {
+                this.stats.lost++;
+                this.endLease(instance.lease.id, 'browser exited', false);
+            }
+            // Still starting: waitReady notices and reports the failure
+            if (instance.state !== 'starting') {
+                this.stopInstance(instance, 'browser exited');
+            }
+        });
+    }
+
+    async waitReady(instance) {
+        const deadline = Date.now() + this.options.startupTimeout;
+        while (Date.now() < deadline) {
+            if (instance.exited || !instance.pid) {
+                throw new Error(`exited during startup: ${lastLogLine(instance)}`);
+            }
+            try {
+                await fetchJson(instance.port, '/json/version');
+                return;
+            } catch (error) {
+                await delay(250);
+            }
+        }
+        throw new Error(`no answer on port ${instance.port} after ${this.options.startupTimeout}ms`);
+    }
+
+    /**
+     * Close the browser's targets, kill its process group (SIGKILL after the
+     * grace period), remove its user-data dir and start a replacement
+     */
+    async stopInstance(instance, reason) {
+        if (instance.stopping) {
+            return instance.stopping;
+        }
+        const wasServing = instance.state === 'ready' || instance.state === 'leased';
+        instance.state = 'stopping';
+        instance.stopping = (async () => {
+            this.log(`Stopping browser ${instance.id}: ${reason}`);
+            if (wasServing && !instance.exited) {
+                // Attached clients get Inspector.detached rather than a dropped socket
+                await this.closeTargets(instance);
+            }
+            if (instance.pid && signalGroup(instance.pid, 'SIGTERM')) {
+                const deadline = Date.now() + this.options.killGrace;
+                while (signalGroup(instance.pid, 0) && Date.now() < deadline) {
+                    await delay(100);
+                }
+                if (signalGroup(instance.pid, 0)) {
+                    signalGroup(instance.pid, 'SIGKILL');
+                    this.stats.leakedKilled++;
+                    this.log(`Browser ${instance.id} ignored SIGTERM; killed process group ${instance.pid}`);
+                }
+            }
+            fs.rmSync(instance.dataDir, { recursive: true, force: true });
+            this.instances.delete(instance.id);
+            this.saveState();
+            this.refill();
+        })();
+        return instance.stopping;
+    }
+
+    async closeTargets(instance) {
+        try {
+            const targets = await fetchJson(instance.port, '/json/list');
+            await Promise.all(targets.map(target => new Promise((resolve) => {
+                const req = http.get({ host: '127.0.0.1', port: instance.port, path: `/json/close/${target.id}`, timeout: BROWSER_REQUEST_TIMEOUT_MS }, (res) => {
+                    res.resume();
+                    res.on('end', resolve);
+                });
+                req.on('timeout', () => req.destroy());
+                req.on('error', resolve);
+            })));
+        } catch (error) {
+            // The browser is killed next anyway
+        }
+    }
+
+    /**
+     * Replace browsers that stop answering /json/version
+     */
+    async checkHealth() {
+        const serving = [...this.instances.values()].filter(instance => instance.state === 'ready' || instance.state === 'leased');
+        await Promise.all(serving.map(async (instance) => {
+            try {
+                await fetchJson(instance.port, '/json/version');
+                instance.healthFailures = 0;
+            } catch (error) {
+                instance.healthFailures++;
+                if (instance.healthFailures < this.options.maxHealthFailures || instance.state === 'stopping') {
+                    return;
+                }
+                this.stats.unhealthy++;
+                if (instance.lease) {
+                    this.stats.lost++;
+                    this.endLease(instance.lease.id, 'browser stopped responding', false);
+                }
+                this.stopInstance(instance, `${instance.healthFailures} failed health checks: ${error.message}`);
+            }
+        }));
+        this.refill();
+    }
+
+    /**
+     * Lease an idle browser for `ttl` seconds; null if none is ready
+     */
+    acquire(ttl = this.options.leaseTtl) {
+        this.checkTtl(ttl);
+        const instance = [...this.instances.values()].find(candidate => candidate.state === 'ready');
+        if (!instance) {
+            this.refill();
+            return null;
+        }
+
+        const lease = {
+            id: crypto.randomBytes(12).toString('hex'),
+            instance,
+            createdAt: new Date().toISOString(),
+            expiresAt: null,
+            ttl,
+            timer: null
+        };
+        instance.state = 'leased';
+        instance.lease = lease;
+        this.leases.set(lease.id, lease);
+        this.schedule(lease, ttl);
+        this.stats.leases++;
+        this.log(`Lease ${lease.id.slice(0, 8)}... on browser ${instance.id} for ${ttl}s`);
+        this.emit('lease', lease);
+        // The leased browser no longer counts as warm
+        this.refill();
+        return lease;
+    }
+
+    renew(id, ttl = this.options.leaseTtl) {
+        this.checkTtl(ttl);
+        const lease = this.leases.get(id);
+        if (!lease) {
+            return null;
+        }
+        clearTimeout(lease.timer);
+        lease.ttl = ttl;
+        this.schedule(lease, ttl);
+        return lease;
+    }
+
+    release(id) {
+        if (!this.leases.has(id)) {
+            return false;
+        }
+        this.stats.released++;
+        this.endLease(id, 'released');
+        return true;
+    }
+
+    checkTtl(ttl) {
+        if (!Number.isInteger(ttl) || ttl < 1 || ttl > this.options.maxLeaseTtl) {
+            throw new Error(`ttl must be a whole number of seconds from 1 to ${this.options.maxLeaseTtl}`);
+        }
+    }
+
+    schedule(lease, ttl) {
+        lease.expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+        lease.timer = setTimeout(() => {
+            this.stats.expired++;
+            this.endLease(lease.id, 'expired');
+        }, ttl * 1000);
+    }
+
+    /**
+     * End a lease and, unless the browser is already going away, recycle it
+     */
+    endLease(id, reason, recycle = true) {
+        const lease = this.leases.get(id);
+        if (!lease) {
+            return;
+        }
+        clearTimeout(lease.timer);
+        this.leases.delete(id);
+        lease.instance.lease = null;
+        this.log(`Lease ${id.slice(0, 8)}... ended: ${reason}`);
+        this.emit('release', lease, reason);
+        if (recycle) {
+            this.stopInstance(lease.instance, `lease ${reason}`);
+        }
+    }
+
+    status() {
+        const instances = [...this.instances.values()];
+        const count = state => instances.filter(instance => instance.state === state).length;
+        return {
+            backend: this.options.backend,
+            size: this.options.size,
+            max: this.options.max,
+            browsers: { ready: count('ready'), leased: count('leased'), starting: count('starting'), stopping: count('stopping') },
+            utilization: Math.round((count('leased') / this.options.max) * 100) / 100,
+            stats: this.stats,
+            // Lease ids are what grants access, so they are not listed
+            instances: instances.map(instance => ({
+                id: instance.id,
+                port: instance.port,
+                pid: instance.pid,
+                state: instance.state,
+                startedAt: instance.startedAt,
+                readyAt: instance.readyAt,
+                lease: instance.lease ? { createdAt: instance.lease.createdAt, expiresAt: instance.lease.expiresAt } : null
+            }))
+        };
+    }
+}
+
+/**
+ * The pool's HTTP API, on top of a MultiplexProxy that serves each leased
+ * browser under /browser/<lease id>/
+ *
+ *   POST   /leases             {"ttl": 600}, 201 with the lease, 503 if no browser is ready
+ *   GET    /leases/<id>        the lease and its URLs
+ *   POST   /leases/<id>/renew  {"ttl": 600}, a new TTL counted from now
+ *   DELETE /leases/<id>        release the browser
+ *   GET    /status             pool usage
+ */
+class PoolServer extends MultiplexProxy {
+    constructor(pool) {
+        super();
+        this.pool = pool;
+        pool.on('lease', lease => this.register(lease.id, `127.0.0.1:${lease.instance.port}`, 'lease'));
+        pool.on('release', lease => this.unregister(lease.id));
+    }
+
+    /**
+     * Pool routes, then the proxy's /browser/<lease id>/... routes. A request
+     * that throws gets a 500 rather than taking the pool and its browsers down.
+     */
+    handleRequest(req, res) {
+        try {
+            const pathname = new URL(req.url, 'http://localhost').pathname;
+            if (pathname === '/status') {
+                sendJson(res, 200, this.pool.status());
+                return;
+            }
+            if (pathname === '/leases' || pathname.startsWith('/leases/')) {
+                this.handleLeases(req, res, pathname).catch((error) => {
+                    if (!res.headersSent) {
+                        sendText(res, 502, `Leased browser unavailable: ${error.message}`);
+                    }
+                });
+                return;
+            }
+            super.handleRequest(req, res);
+        } catch (error) {
+            console.error(`${new Date().toISOString()} - ${req.method} ${req.url} failed: ${error.stack}`);
+            if (!res.headersSent) {
+                sendText(res, 500, 'Internal Server Error');
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        try {
+            super.handleUpgrade(req, socket, head);
+        } catch (error) {
+            console.error(`${new Date().toISOString()} - WebSocket ${req.url} failed: ${error.stack}`);
+            socket.destroy();
+        }
+    }
+
+    // Browsers come and go with leases, and their names are the lease ids
+    handleRegistry(req, res) {
+        sendText(res, 404, 'Not Found. The pool is managed through /leases and /status');
+    }
+
+    async handleLeases(req, res, pathname) {
+        const [, , id, action] = pathname.split('/');
+        const body = ['POST', 'PUT'].includes(req.method) ? await readJson(req) : {};
+        if (body === null) {
+            sendText(res, 400, 'Request body must be JSON');
+            return;
+        }
+        const { ttl } = body;
+
+        if (!id && req.method === 'POST') {
+            let lease;
+            try {
+                lease = this.pool.acquire(ttl);
+            } catch (error) {
+                sendText(res, 400, error.message);
+                return;
+            }
+            if (!lease) {
+                res.setHeader('Retry-After', '5');
+                sendText(res, 503, 'No browser available, try again shortly');
+                return;
+            }
+            sendJson(res, 201, await this.describeLease(lease, req));
+            return;
+        }
+
+        const lease = id && this.pool.leases.get(id);
+        if (!lease) {
+            sendText(res, 404, id ? 'No such lease' : 'Use POST /leases');
+            return;
+        }
+        if (req.method === 'GET' && !action) {
+            sendJson(res, 200, await this.describeLease(lease, req));
+        } else if (req.method === 'DELETE' && !action) {
+            this.pool.release(id);
+            res.writeHead(204);
+            res.end();
+        } else if (req.method === 'POST' && action === 'renew') {
+            try {
+                this.pool.renew(id, ttl);
+            } catch (error) {
+                sendText(res, 400, error.message);
+                return;
+            }
+            sendJson(res, 200, await this.describeLease(lease, req));
+        } else {
+            sendText(res, 405, 'Use GET or DELETE /leases/<id>, or POST /leases/<id>/renew');
+        }
+    }
+
+    /**
+     * The lease with its browser's URLs through this server
+     */
+    async describeLease(lease, req) {
+        const prefix = `/browser/${lease.id}`;
+        const base = publicBase(req, prefix);
+        const [version, targets] = await Promise.all([
+            fetchJson(lease.instance.port, '/json/version'),
+            fetchJson(lease.instance.port, '/json/list')
+        ]);
+        const page = targets.find(target => target.type === 'page');
+        return {
+            id: lease.id,
+            createdAt: lease.createdAt,
+            expiresAt: lease.expiresAt,
+            ttl: lease.ttl,
+            url: `${base.scheme === 'wss' ? 'https' : 'http'}://${base.authority}${prefix}/json`,
+            webSocketDebuggerUrl: rewriteTargetUrls(version, base).webSocketDebuggerUrl,
+            pageWebSocketDebuggerUrl: page ? rewriteTargetUrls(page, base).webSocketDebuggerUrl : null
+        };
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(body.trim() ? JSON.parse(body) : {});
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    let pool;
+    try {
+        pool = new BrowserPool({
+            backend: process.env.POOL_BACKEND || DEFAULT_OPTIONS.backend,
+            size: envNumber('POOL_SIZE', DEFAULT_OPTIONS.size),
+            max: envNumber('POOL_MAX', DEFAULT_OPTIONS.max),
+            basePort: envNumber('POOL_BASE_PORT', DEFAULT_OPTIONS.basePort),
+            portRange: envNumber('POOL_PORT_RANGE', DEFAULT_OPTIONS.portRange),
+            dataDir: process.env.POOL_DATA_DIR || DEFAULT_OPTIONS.dataDir,
+            chromeScript: process.env.POOL_CHROME_SCRIPT || DEFAULT_OPTIONS.chromeScript,
+            leaseTtl: envNumber('LEASE_TTL', DEFAULT_OPTIONS.leaseTtl),
+            maxLeaseTtl: envNumber('LEASE_MAX_TTL', DEFAULT_OPTIONS.maxLeaseTtl),
+            startupTimeout: envNumber('POOL_STARTUP_TIMEOUT', DEFAULT_OPTIONS.startupTimeout),
+            checkInterval: envNumber('POOL_CHECK_INTERVAL', DEFAULT_OPTIONS.checkInterval)
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const server = new PoolServer(pool);
+    pool.start();
+    server.listen(PORT, HOST, () => {
+        console.log(`Browser pool running at http://${HOST}:${PORT}`);
+        console.log(`Keeping ${pool.options.size} ${pool.options.backend} browser(s) warm, at most ${pool.options.max}, on ports from ${pool.options.basePort}`);
+        console.log('Lease with POST /leases, pool usage at /status');
+        console.log('\nPress Ctrl+C to stop');
+    });
+
+    // Graceful shutdown: browsers are killed and their user-data dirs removed
+    let stopping = false;
+    const shutdown = (code) => {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        console.log('\nShutting down browser pool...');
+        server.close();
+        pool.stop().finally(() => process.exit(code));
+    };
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+    // Exiting straight away would leave the detached browsers running
+    process.on('uncaughtException', (error) => {
+        console.error(`${new Date().toISOString()} - Uncaught exception, stopping the pool: ${error.stack}`);
+        shutdown(1);
+    });
+    process.on('unhandledRejection', (error) => {
+        console.error(`${new Date().toISOString()} - Unhandled rejection, stopping the pool: ${error && error.stack}`);
+        shutdown(1);
+    });
+}
+
+module.exports = BrowserPool;
+module.exports.PoolServer = PoolServer;
+module.exports.fetchJson = fetchJson;
+module.exports.signalGroup = signalGroup;
@@ -0,0 +1,368 @@
+/**
+ * CDP traffic audit log
+ *
+ * Writes one JSON line per CDP command sent through cdp-proxy.js: who sent
+ * it (token name and IP), to which target, the method, a keyed digest of
+ * its params, the result or error and the latency. Every line carries the id of
+ * the WebSocket session it belongs to, so a session can be followed from
+ * `session.open` to `session.close`:
+ *
+ *   {"time":"...","type":"command","session":"3f9c...","identity":"ci","ip":"10.0.0.5",
+ *    "target":"E3B1...","id":7,"method":"Runtime.evaluate","paramsDigest":"9a1e...",
+ *    "params":{"expression":"document.title"},"outcome":"ok","result":{...},"latencyMs":4}
+ *
+ * Sensitive values are replaced with "[REDACTED]" before they are written,
+ * by redaction rules: a key name redacted wherever it appears (`password`),
+ * or a path in one method's params or result (`Network.setCookie:params.value`).
+ * The digest is an HMAC-SHA256 of the params before redaction, so identical
+ * params can still be matched. It is keyed (AUDIT_DIGEST_KEY, or a random key
+ * per run) so a redacted value cannot be recovered by hashing guesses, such
+ * as every short password. The log rotates by size: chrome-debugger-audit.log, .1, .2, ...
+ *
+ * Author: Terragon Labs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { compilePatterns } = require('./cdp-policy');
+
+const DEFAULT_MAX_SIZE_MB = 50;
+const DEFAULT_MAX_FILES = 5;
+
+// Longer strings (screenshots, response bodies, scripts) are cut to this many
+// characters, with their full length noted
+const DEFAULT_MAX_VALUE_LENGTH = 256;
+
+const REDACTED = '[REDACTED]';
+
+// Always applied. Keys are matched case-insensitively at any depth.
+const DEFAULT_REDACT = [
+    'password', 'passwd', 'secret', 'token', 'authorization', 'cookie', 'cookies',
+    'Network.setCookie:params.value',
+    'Network.setExtraHTTPHeaders:params.headers',
+    'Fetch.continueRequest:params.headers',
+    'Fetch.fulfillRequest:params.responseHeaders',
+    'Fetch.continueWithAuth:params.authChallengeResponse',
+    'Input.insertText:params.text',
+    'Input.dispatchKeyEvent:params.text',
+    'Input.dispatchKeyEvent:params.unmodifiedText',
+    'Input.dispatchKeyEvent:params.key'
+];
+
+class Redactor {
+    /**
+     * Rules are key names (`password`) or `<method pattern>:<path>`, where the
+     * path starts with `params` or `result` (`Network.getResponseBody:result.body`).
+     * Method patterns are the same as in cdp-policy.js: `Network`, `Network.set*`.
+     */
+    constructor(rules = [], maxValueLength = DEFAULT_MAX_VALUE_LENGTH) {
+        this.keys = new Set();
+        this.paths = [];
+        this.maxValueLength = maxValueLength;
+        rules.map(rule => String(rule).trim()).filter(Boolean).forEach((rule) => {
+            const separator = rule.indexOf(':');
+            if (separator < 0) {
+                this.keys.add(rule.toLowerCase());
+                return;
+            }
+            const target = rule.slice(separator + 1);
+            if (!/^(params|result)(\.|$)/.test(target)) {
+                throw new Error(`Redaction rule ${rule}: path must start with params or result`);
+            }
+            this.paths.push({ method: compilePatterns([rule.slice(0, separator)]), path: target });
+        });
+    }
+
+    /**
+     * Copy of a command's params or result ("params" or "result" section) with
+     * sensitive values redacted and long strings cut
+     */
+    apply(method, section, value) {
+        const paths = new Set(this.paths.filter(rule => rule.method.test(method)).map(rule => rule.path));
+        return this.copy(value, section, paths);
+    }
+
+    copy(value, location, paths) {
+        if (paths.has(location)) {
+            return REDACTED;
+        }
+        if (typeof value === 'string') {
+            return value.length > this.maxValueLength
+                ? `${value.slice(0, this.maxValueLength)}...[${value.length} chars]`
+                : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map((item, index) => this.copy(item, `${location}.${index}`, paths));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach((key) => {
+                copy[key] = this.keys.has(key.toLowerCase()) ? REDACTED : this.copy(value[key], `${location}.${key}`, paths);
+            });
+            return copy;
+        }
+        return value;
+    }
+}
+
+/**
+ * Target type and id from a WebSocket path such as /devtools/page/<id>
+ */
+function parseTargetPath(pathname) {
+    const match = /^\/devtools\/([^/]+)\/([^/?]+)/.exec(pathname || '');
+    return match ? { targetType: match[1], target: match[2] } : { targetType: null, target: null };
+}
+
+/**
+ * The commands of one client WebSocket, matched with their responses
+ */
+class AuditSession {
+    constructor(log, { identity, ip, rule, path: pathname, connection }) {
+        this.log = log;
+        this.id = crypto.randomBytes(8).toString('hex');
+        this.opened = Date.now();
+        this.pending = new Map();
+        // Target of each CDP session attached over this socket
+        this.targets = new Map();
+        this.client = { session: this.id, connection, identity: identity || null, ip };
+        const { targetType, target } = parseTargetPath(pathname);
+        this.target = target;
+
+        this.write({ type: 'session.open', path: pathname, targetType, target, rule: rule ? rule.name : null });
+    }
+
+    write({ time = new Date().toISOString(), type, ...fields }) {
+        this.log.write({ time, type, ...this.client, ...fields });
+    }
+
+    /**
+     * A command forwarded to Chrome. Commands wrapped in
+     * Target.sendMessageToTarget are followed too.
+     */
+    command(message) {
+        if (!message || typeof message.method !== 'string' || message.id === undefined) {
+            return;
+        }
+        this.track(message, message.sessionId);
+        if (message.method === 'Target.sendMessageToTarget' && message.params) {
+            const inner = parseInner(message.params.message);
+            if (inner && typeof inner.method === 'string' && inner.id !== undefined) {
+                this.track(inner, message.params.sessionId, message.params.targetId);
+            }
+        }
+    }
+
+    track(message, cdpSession, targetId) {
+        this.pending.set(pendingKey(cdpSession, message.id), {
+            time: new Date().toISOString(),
+            start: Date.now(),
+            ...this.describe(message, cdpSession, targetId)
+        });
+    }
+
+    describe(message, cdpSession, targetId) {
+        const params = message.params === undefined ? {} : message.params;
+        let logged = this.log.redactor.apply(message.method, 'params', params);
+        // The wrapped command gets its own entry, redacted by its own rules
+        if (message.method === 'Target.sendMessageToTarget' && params.message !== undefined) {
+            const inner = parseInner(params.message);
+            logged = { ...logged, message: inner ? { id: inner.id, method: inner.method } : REDACTED };
+        }
+        return {
+            id: message.id === undefined ? null : message.id,
+            method: message.method,
+            cdpSession: cdpSession || null,
+            target: targetId || (cdpSession && this.targets.get(cdpSession)) || this.target,
+            paramsDigest: this.log.digest(params),
+            params: logged
+        };
+    }
+
+    /**
+     * A command the access policy refused, so it never reached Chrome.
+     * `method` is the refused method, which for Target.sendMessageToTarget
+     * may be the wrapped command's. Commands over a rate limit are logged
+     * the same way with outcome 'limited'.
+     */
+    blocked(message, method, error, outcome = 'blocked') {
+        if (!message || typeof message.method !== 'string') {
+            return;
+        }
+        const inner = method !== message.method && message.params ? parseInner(message.params.message) : null;
+        const command = inner
+            ? this.describe(inner, message.params.sessionId, message.params.targetId)
+            : this.describe(message, message.sessionId);
+        this.write({ type: 'command', ...command, outcome, error, latencyMs: 0 });
+    }
+
+    /**
+     * A message from Chrome: completes a pending command, or records which
+     * target a newly attached session belongs to
+     */
+    message(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+        if (message.method === 'Target.attachedToTarget' && message.params && message.params.targetInfo) {
+            this.targets.set(message.params.sessionId, message.params.targetInfo.targetId);
+        } else if (message.method === 'Target.detachedFromTarget' && message.params) {
+            this.targets.delete(message.params.sessionId);
+        } else if (message.method === 'Target.receivedMessageFromTarget' && message.params) {
+            const inner = parseInner(message.params.message);
+            if (inner && inner.id !== undefined) {
+                this.complete(pendingKey(message.params.sessionId, inner.id), inner);
+            }
+        }
+        if (message.id !== undefined) {
+            this.complete(pendingKey(message.sessionId, message.id), message);
+        }
+    }
+
+    complete(key, response) {
+        const command = this.pending.get(key);
+        if (!command) {
+            return;
+        }
+        this.pending.delete(key);
+        const { start, ...entry } = command;
+        const outcome = response.error
+            ? { outcome: 'error', error: response.error }
+            : { outcome: 'ok', result: this.log.redactor.apply(entry.method, 'result', response.result) };
+        this.write({ type: 'command', ...entry, ...outcome, latencyMs: Date.now() - start });
+    }
+
+    /**
+     * The client WebSocket closed; commands still waiting are logged as unanswered
+     */
+    close({ code = null, ...stats } = {}) {
+        const now = Date.now();
+        this.pending.forEach(({ start, ...entry }) => {
+            this.write({ type: 'command', ...entry, outcome: 'unanswered', latencyMs: now - start });
+        });
+        this.pending.clear();
+        this.write({ type: 'session.close', target: this.target, code, ...stats, durationMs: now - this.opened });
+    }
+}
+
+function pendingKey(cdpSession, id) {
+    return `${cdpSession || ''}:${id}`;
+}
+
+function parseInner(message) {
+    try {
+        return JSON.parse(message);
+    } catch (error) {
+        return null;
+    }
+}
+
+class AuditLog {
+    constructor({
+        file,
+        maxBytes = DEFAULT_MAX_SIZE_MB * 1024 * 1024,
+        maxFiles = DEFAULT_MAX_FILES,
+        redact = [],
+        maxValueLength = DEFAULT_MAX_VALUE_LENGTH,
+        digestKey = null
+    }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        // Without a configured key, digests only match within one run
+        this.digestKeyGenerated = !digestKey;
+        this.digestKey = digestKey || crypto.randomBytes(32);
+        this.redactor = new Redactor([...DEFAULT_REDACT, ...redact], maxValueLength);
+        this.open();
+    }
+
+    /**
+     * Audit log configured from AUDIT_LOG, AUDIT_MAX_SIZE (MB), AUDIT_MAX_FILES,
+     * AUDIT_REDACT (comma-separated rules), AUDIT_MAX_VALUE and
+     * AUDIT_DIGEST_KEY; null if AUDIT_LOG is not set
+     */
+    static fromEnv(env = process.env) {
+        if (!env.AUDIT_LOG) {
+            return null;
+        }
+        return new AuditLog({
+            file: env.AUDIT_LOG,
+            maxBytes: env.AUDIT_MAX_SIZE !== undefined ? Number(env.AUDIT_MAX_SIZE) * 1024 * 1024 : undefined,
+            maxFiles: env.AUDIT_MAX_FILES !== undefined ? parseInt(env.AUDIT_MAX_FILES) : undefined,
+            redact: (env.AUDIT_REDACT || '').split(','),
+            maxValueLength: env.AUDIT_MAX_VALUE !== undefined ? parseInt(env.AUDIT_MAX_VALUE) : undefined,
+            digestKey: env.AUDIT_DIGEST_KEY || null
+        });
+    }
+
+    // Entries are appended synchronously, so none are lost if the proxy
+    // crashes and the size is always known for rotation
+    open() {
+        fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+        this.fd = fs.openSync(this.file, 'a');
+        this.bytes = fs.fstatSync(this.fd).size;
+    }
+
+    /**
+     * Close and reopen the file, e.g. on SIGHUP after an external logrotate
+     */
+    reopen() {
+        fs.closeSync(this.fd);
+        this.open();
+    }
+
+    /**
+     * Move file to file.1, file.1 to file.2, ... dropping the oldest
+     * (with maxFiles 0, start the file over)
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+        if (this.maxFiles === 0) {
+            fs.unlinkSync(this.file);
+        }
+        for (let index = this.maxFiles - 1; index >= 0; index--) {
+            const from = index === 0 ? this.file : `${this.file}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.file}.${index + 1}`);
+            }
+        }
+        this.open();
+    }
+
+    /**
+     * HMAC-SHA256 of a command's params, hex encoded
+     */
+    digest(value) {
+        return crypto.createHmac('sha256', this.digestKey).update(JSON.stringify(value === undefined ? {} : value)).digest('hex');
+    }
+
+    write(entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+        const length = Buffer.byteLength(line);
+        try {
+            if (this.bytes > 0 && this.bytes + length > this.maxBytes) {
+                this.rotate();
+            }
+            fs.writeSync(this.fd, line);
+            this.bytes += length;
+        } catch (error) {
+            // A full disk must not take the proxy down with it
+            console.error(`Audit log ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start auditing a client WebSocket ({ identity, ip, rule, path, connection })
+     */
+    openSession(client) {
+        return new AuditSession(this, client);
+    }
+
+    close() {
+        fs.closeSync(this.fd);
+    }
+}
+
+module.exports = AuditLog;
+module.exports.Redactor = Redactor;
+module.exports.DEFAULT_REDACT = DEFAULT_REDACT;
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+/**
+ * CDP Session Sharing (fan-out)
+ *
+ * Chrome's page endpoint works badly with more than one client: each client
+ * enables domains and changes state behind the others' backs. This server
+ * opens one upstream CDP connection per target and shares it between every
+ * client attached to that target:
+ *
+ *   - Command ids are remapped on the way up, so each reply goes back to
+ *     the client that sent the command, with its own id
+ *   - Events go to every client
+ *   - One client is the controller; the others are viewers. Viewers may
+ *     only send the read-only commands in VIEWER_ALLOW, and get a CDP error
+ *     for anything else. Their Domain.enable/disable commands are answered
+ *     here and never reach Chrome, since the domains belong to the controller.
+ *
+ * The first client to attach becomes the controller unless it asks for
+ * `?role=viewer`; later clients are viewers. When the controller leaves,
+ * the next client asking for `?role=controller` takes over. The role is
+ * sent back in the X-Fanout-Role upgrade response header.
+ *
+ * /json* is forwarded to Chrome with WebSocket URLs pointing back here, and
+ * /fanout lists the shared targets and their clients.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const url = require('url');
+const WebSocket = require('ws');
+const { compilePatterns } = require('./cdp-policy');
+const { MAX_PAYLOAD_BYTES, parseMessage, unwrapCommand, serializeCommand, sendJson, publicBase, forwardRequest } = require('./proxy-utils');
+
+const PORT = process.env.PORT || 9228;
+const HOST = process.env.HOST || '127.0.0.1';
+const UPSTREAM = process.env.UPSTREAM || '127.0.0.1:9222';
+const MAX_CLIENTS = Number(process.env.FANOUT_MAX_CLIENTS || 10);
+
+// A viewer that falls this far behind (screencast frames pile up quickly)
+// is dropped rather than buffered without bound
+const MAX_BUFFERED_BYTES = 32 * 1024 * 1024;
+
+const BLOCKED_ERROR_CODE = -32601;
+const PARSE_ERROR_CODE = -32700;
+
+// Commands a viewer may send: reads that leave the page, the controller's
+// node and object ids, and the enabled domains as they are. DOM.getDocument
+// is not one of them, as it invalidates every node id handed out so far.
+const VIEWER_ALLOW = compilePatterns([
+    'Browser.getVersion', 'Schema.getDomains', 'Target.getTargets', 'Target.getTargetInfo',
+    'Page.getFrameTree', 'Page.getResourceTree', 'Page.getResourceContent', 'Page.getLayoutMetrics', 'Page.getNavigationHistory',
+    'Page.captureScreenshot', 'DOMSnapshot.captureSnapshot',
+    'DOM.describeNode', 'DOM.querySelector', 'DOM.querySelectorAll', 'DOM.getOuterHTML', 'DOM.getAttributes', 'DOM.getBoxModel',
+    'CSS.getComputedStyleForNode', 'CSS.getMatchedStylesForNode', 'CSS.getInlineStylesForNode',
+    'Runtime.getProperties', 'Runtime.getHeapUsage', 'Debugger.getScriptSource', 'Network.getResponseBody',
+    'Performance.getMetrics', 'Accessibility.getFullAXTree', 'Memory.getDOMCounters'
+]);
+
+// Answered with an empty result for viewers: they see the events of the
+// domains the controller enabled, and must not disable them for everyone
+const VIEWER_LOCAL = /^[A-Za-z]+\.(enable|disable)$/;
+
+/**
+ * One upstream connection to a target and the clients sharing it
+ */
+class SharedTarget {
+    constructor(pathname, upstream) {
+        this.pathname = pathname;
+        this.clients = new Set();
+        // Clients waiting for the upstream connection to open
+        this.joining = 0;
+        this.controller = null;
+        // Upstream command id -> { client, id }
+        this.pending = new Map();
+        this.nextId = 1;
+        this.stats = { forwarded: 0, refused: 0, answeredLocally: 0, events: 0, dropped: 0 };
+        this.openedAt = new Date().toISOString();
+        this.upstream = upstream;
+        this.ready = new Promise((resolve, reject) => {
+            upstream.once('open', resolve);
+            upstream.once('unexpected-response', (req, res) => {
+                req.destroy();
+                reject(Object.assign(new Error(`Upstream refused the WebSocket: ${res.statusMessage}`), { status: res.statusCode }));
+            });
+            upstream.once('error', error => reject(Object.assign(error, { status: 502 })));
+        });
+
+        upstream.on('message', data => this.fromUpstream(String(data)));
+        upstream.on('close', (code, reason) => {
+            const closeCode = code === 1005 || code === 1006 ? 1000 : code;
+            this.clients.forEach(client => client.ws.close(closeCode, reason));
+        });
+        upstream.on('error', (error) => {
+            console.error(`Upstream WebSocket ${pathname} error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Pick the new client's role: the controller if it asks to be, or if it
+     * is first and does not ask to watch, while nobody holds control
+     */
+    addClient(ws, requested, label) {
+        const wantsControl = requested === 'controller' || (!requested && this.clients.size === 0);
+        const client = { ws, label, role: wantsControl && !this.controller ? 'controller' : 'viewer', joinedAt: new Date().toISOString() };
+        if (client.role === 'controller') {
+            this.controller = client;
+        }
+        this.clients.add(client);
+        return client;
+    }
+
+    removeClient(client) {
+        this.clients.delete(client);
+        if (this.controller === client) {
+            this.controller = null;
+        }
+        // Replies to its commands have nowhere to go
+        this.pending.forEach((entry, id) => {
+            if (entry.client === client) {
+                this.pending.delete(id);
+            }
+        });
+    }
+
+    fromClient(client, data, isBinary) {
+        const message = isBinary ? null : parseMessage(String(data));
+        if (!message || typeof message !== 'object') {
+            this.reply(client, { error: { code: PARSE_ERROR_CODE, message: 'Message must be a valid JSON' } });
+            return;
+        }
+
+        // The method a command amounts to, looking inside (possibly nested)
+        // Target.sendMessageToTarget at the command for the attached target
+        const chain = unwrapCommand(message);
+        const method = typeof message.method === 'string' ? chain[chain.length - 1].method : null;
+        if (client.role !== 'controller' && method) {
+            const session = message.sessionId ? { sessionId: message.sessionId } : {};
+            // Only a bare command can be answered here; a wrapped one would
+            // need a reply event from the attached target as well
+            if (method === message.method && VIEWER_LOCAL.test(method)) {
+                this.stats.answeredLocally++;
+                this.reply(client, { id: message.id, result: {}, ...session });
+                return;
+            }
+            if (!VIEWER_ALLOW.test(method)) {
+                this.stats.refused++;
+                this.reply(client, {
+                    id: message.id,
+                    error: { code: BLOCKED_ERROR_CODE, message: `'${method}' is not allowed for viewers of a shared session` },
+                    ...session
+                });
+                return;
+            }
+        }
+
+        const upstreamId = this.nextId++;
+        this.pending.set(upstreamId, { client, id: message.id });
+        this.stats.forwarded++;
+        // Inner commands go up as they were checked, re-serialized
+        this.upstream.send(serializeCommand([{ ...message, id: upstreamId }, ...chain.slice(1)]));
+    }
+
+    /**
+     * Replies go to the client that sent the command, under its own id;
+     * events go to everyone
+     */
+    fromUpstream(data) {
+        const message = parseMessage(data);
+        if (message && message.id !== undefined && !message.method) {
+            const entry = this.pending.get(message.id);
+            if (entry) {
+                this.pending.delete(message.id);
+                const reply = { ...message };
+                if (entry.id === undefined) {
+                    delete reply.id;
+                } else {
+                    reply.id = entry.id;
+                }
+                this.send(entry.client, JSON.stringify(reply));
+            }
+            return;
+        }
+        this.stats.events++;
+        this.clients.forEach(client => this.send(client, data));
+    }
+
+    reply(client, message) {
+        this.send(client, JSON.stringify(message));
+    }
+
+    send(client, data) {
+        if (!client.ws || client.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        if (client.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            this.stats.dropped++;
+            console.log(`${new Date().toISOString()} - ${client.label} on ${this.pathname} is ${client.ws.bufferedAmount} bytes behind, dropping it`);
+            client.ws.terminate();
+            return;
+        }
+        client.ws.send(data);
+    }
+
+    describe() {
+        return {
+            path: this.pathname,
+            openedAt: this.openedAt,
+            controller: this.controller ? this.controller.label : null,
+            clients: [...this.clients].map(({ label, role, joinedAt }) => ({ client: label, role, joinedAt })),
+            pendingCommands: this.pending.size,
+            ...this.stats
+        };
+    }
+}
+
+class FanoutServer {
+    constructor({ upstream = UPSTREAM, maxClients = MAX_CLIENTS } = {}) {
+        this.upstream = upstream;
+        this.maxClients = maxClients;
+        // pathname -> SharedTarget
+        this.targets = new Map();
+        this.nextClientId = 1;
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        // Upgrades are accepted once the shared upstream connection is open,
+        // and rejected with Chrome's own status code if Chrome refuses it
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            maxPayload: MAX_PAYLOAD_BYTES,
+            perMessageDeflate: false,
+            verifyClient: (info, callback) => {
+                const pathname = url.parse(info.req.url).pathname;
+                if (!pathname.startsWith('/devtools/')) {
+                    callback(false, 404, 'Not Found');
+                    return;
+                }
+                const shared = this.targets.get(pathname) || this.openTarget(pathname);
+                if (shared.clients.size >= this.maxClients) {
+                    callback(false, 429, `${pathname} already has ${shared.clients.size} clients`);
+                    return;
+                }
+                shared.joining++;
+                shared.ready.then(() => {
+                    info.req.shared = shared;
+                    // Completes the upgrade synchronously, or gives up if
+                    // the client went away while Chrome was answering
+                    callback(true);
+                    shared.joining--;
+                    this.closeIfIdle(shared);
+                }, (error) => {
+                    shared.joining--;
+                    callback(false, error.status, error.message);
+                });
+            }
+        });
+
+        // The role is settled here rather than in verifyClient, because a
+        // client that disconnects before the upgrade completes never gets
+        // this far and must not keep the controller slot
+        this.wss.on('headers', (headers, req) => {
+            const requested = new URL(req.url, 'http://localhost').searchParams.get('role');
+            req.client = req.shared.addClient(null, requested, `client-${this.nextClientId++}`);
+            headers.push(`X-Fanout-Role: ${req.client.role}`);
+        });
+
+        this.wss.on('connection', (ws, req) => {
+            const { shared, client } = req;
+            client.ws = ws;
+            console.log(`${new Date().toISOString()} - ${client.label} joined ${shared.pathname} as ${client.role} (${shared.clients.size} attached)`);
+
+            ws.on('message', (data, isBinary) => shared.fromClient(client, data, isBinary));
+            ws.on('close', () => {
+                shared.removeClient(client);
+                console.log(`${new Date().toISOString()} - ${client.label} left ${shared.pathname} (${shared.clients.size} attached)`);
+                this.closeIfIdle(shared);
+            });
+            ws.on('error', (error) => {
+                console.error(`Client WebSocket ${client.label} error: ${error.message}`);
+            });
+        });
+    }
+
+    listen(port, host, callback) {
+        this.server.listen(port, host, callback);
+        return this;
+    }
+
+    close(callback) {
+        this.wss.clients.forEach(ws => ws.close(1001));
+        this.targets.forEach(shared => shared.upstream.close());
+        this.server.close(callback);
+    }
+
+    openTarget(pathname) {
+        const upstream = new WebSocket(`ws://${this.upstream}${pathname}`, { perMessageDeflate: false, maxPayload: MAX_PAYLOAD_BYTES });
+        const shared = new SharedTarget(pathname, upstream);
+        this.targets.set(pathname, shared);
+        console.log(`${new Date().toISOString()} - Opening shared connection to ${pathname}`);
+
+        shared.ready.catch((error) => {
+            console.log(`${new Date().toISOString()} - Shared connection to ${pathname} failed: ${error.message}`);
+            this.targets.delete(pathname);
+        });
+        upstream.on('close', () => {
+            if (this.targets.get(pathname) === shared) {
+                this.targets.delete(pathname);
+            }
+        });
+        return shared;
+    }
+
+    closeIfIdle(shared) {
+        if (shared.clients.size > 0 || shared.joining > 0) {
+            return;
+        }
+        if (this.targets.get(shared.pathname) === shared) {
+            this.targets.delete(shared.pathname);
+        }
+        console.log(`${new Date().toISOString()} - Closing shared connection to ${shared.pathname}: ${shared.stats.forwarded} command(s) forwarded, ${shared.stats.refused} refused, ${shared.stats.answeredLocally} answered locally, ${shared.stats.events} event(s) broadcast`);
+        shared.upstream.close();
+    }
+
+    handleRequest(req, res) {
+        const parsed = url.parse(req.url);
+        if (parsed.pathname === '/fanout') {
+            sendJson(res, 200, [...this.targets.values()].map(shared => shared.describe()));
+            return;
+        }
+        const [host, port] = this.upstream.split(':');
+        forwardRequest(req, res, {
+            browser: { name: 'Chrome', host, port, upstream: this.upstream },
+            path: parsed.pathname,
+            search: parsed.search || '',
+            base: publicBase(req, '')
+        });
+    }
+}
+
+if (require.main === module) {
+    const fanout = new FanoutServer();
+
+    fanout.listen(PORT, HOST, () => {
+        console.log(`CDP session sharing running at http://${HOST}:${PORT}`);
+        console.log(`Sharing targets of Chrome at http://${UPSTREAM}, up to ${MAX_CLIENTS} client(s) each`);
+        console.log('First client per target controls it, later ones watch (?role=controller|viewer)');
+        console.log('Shared targets at /fanout');
+        console.log('\nPress Ctrl+C to stop');
+    });
+
+    // Graceful shutdown
+    const shutdown = () => {
+        console.log('\nShutting down CDP session sharing...');
+        fanout.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = FanoutServer;
+module.exports.SharedTarget = SharedTarget;
@@ -0,0 +1,225 @@
+/**
+ * Per-client rate limits and connection quotas for cdp-proxy.js
+ *
+ * nginx limits connections per worker, not per client, so one runaway
+ * script can open dozens of sessions and flood Chrome with commands. Three
+ * limits apply in the proxy's WebSocket path:
+ *
+ *   sessions           open WebSockets per client
+ *   commandsPerSecond  commands per WebSocket session, in bursts of up to one second's worth
+ *   bytesPerMinute     command bytes per client, over all its sessions
+ *
+ * A client is its token name when it has one, and its IP address otherwise.
+ * Limits come from LIMIT_* in the environment, and an access rule can
+ * override them for its clients with `limits:` (0 means no limit):
+ *
+ *   rules:
+ *     - name: ci
+ *       tokens: [ci]
+ *       limits: { sessions: 20, commandsPerSecond: 500 }
+ *
+ * Sessions over the quota are refused with 429. Commands over a rate get a
+ * CDP error; the socket stays open.
+ *
+ * Author: Terragon Labs
+ */
+
+// 0 means no limit
+const DEFAULT_LIMITS = {
+    sessions: 0,
+    commandsPerSecond: 0,
+    bytesPerMinute: 0
+};
+
+const LIMIT_NAMES = Object.keys(DEFAULT_LIMITS);
+
+/**
+ * Check a `limits` object from the environment or a policy rule
+ */
+function parseLimits(config, where) {
+    const limits = {};
+    Object.entries(config || {}).forEach(([name, value]) => {
+        if (!LIMIT_NAMES.includes(name)) {
+            throw new Error(`${where}: unknown limit ${name}, use ${LIMIT_NAMES.join(', ')}`);
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`${where}: ${name} must be a number of 0 or more`);
+        }
+        limits[name] = number;
+    });
+    return limits;
+}
+
+/**
+ * Refills `rate` units per second up to `capacity`
+ */
+class TokenBucket {
+    constructor(rate, capacity) {
+        this.rate = rate / 1000;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updated = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate);
+        this.updated = now;
+    }
+
+    take(amount) {
+        this.refill();
+        if (this.tokens < amount) {
+            return false;
+        }
+        this.tokens -= amount;
+        return true;
+    }
+
+    full() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+function emptyCounters() {
+    return { sessionsOpened: 0, sessionsRefused: 0, commands: 0, commandsLimited: 0, bytes: 0, bytesLimited: 0 };
+}
+
+/**
+ * One client WebSocket: `check` is called with every command before it is
+ * forwarded, and returns null or the reason it is over a limit
+ */
+class LimitedSession {
+    constructor(limiter, client, limits) {
+        this.limiter = limiter;
+        this.client = client;
+        this.limits = limits;
+        this.commandBucket = limits.commandsPerSecond
+            ? new TokenBucket(limits.commandsPerSecond, Math.max(1, limits.commandsPerSecond))
+            : null;
+        this.closed = false;
+    }
+
+    check(bytes) {
+        const counters = [this.limiter.totals, this.client.counters];
+        if (this.commandBucket && !this.commandBucket.take(1)) {
+            counters.forEach((entry) => {
+                entry.commandsLimited++;
+            });
+            return `${this.limits.commandsPerSecond} commands per second per session`;
+        }
+        if (this.client.bytesBucket && !this.client.bytesBucket.take(bytes)) {
+            counters.forEach((entry) => {
+                entry.bytesLimited++;
+            });
+            return bytes > this.client.bytesBucket.capacity
+                ? `${this.limits.bytesPerMinute} bytes per minute per client (this command alone is ${bytes} bytes)`
+                : `${this.limits.bytesPerMinute} bytes per minute per client`;
+        }
+        counters.forEach((entry) => {
+            entry.commands++;
+            entry.bytes += bytes;
+        });
+        return null;
+    }
+
+    close() {
+        if (!this.closed) {
+            this.closed = true;
+            this.client.sessions--;
+        }
+    }
+}
+
+class RateLimiter {
+    constructor(limits = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...parseLimits(limits, 'Limits') };
+        // client key -> { key, sessions, counters, bytesBucket }
+        this.clients = new Map();
+        this.totals = emptyCounters();
+    }
+
+    /**
+     * Limits from LIMIT_SESSIONS, LIMIT_COMMANDS_PER_SECOND and LIMIT_BYTES_PER_MINUTE
+     */
+    static fromEnv(env = process.env) {
+        const names = { sessions: 'LIMIT_SESSIONS', commandsPerSecond: 'LIMIT_COMMANDS_PER_SECOND', bytesPerMinute: 'LIMIT_BYTES_PER_MINUTE' };
+        const limits = {};
+        Object.entries(names).forEach(([name, variable]) => {
+            if (env[variable] !== undefined) {
+                limits[name] = env[variable];
+            }
+        });
+        return new RateLimiter(limits);
+    }
+
+    /**
+     * The limits for a client's rule: the defaults with the rule's overrides
+     */
+    limitsFor(rule) {
+        return { ...this.limits, ...(rule && rule.limits) };
+    }
+
+    keyFor({ identity, ip }) {
+        return identity ? `token:${identity}` : `ip:${ip}`;
+    }
+
+    /**
+     * Start a session for a client ({ identity, ip, rule }). Returns
+     * { session }, or { status: 429, reason } when the client already has
+     * as many sessions open as its quota allows.
+     */
+    openSession(client) {
+        this.prune();
+        const limits = this.limitsFor(client.rule);
+        const key = this.keyFor(client);
+        if (!this.clients.has(key)) {
+            this.clients.set(key, {
+                key,
+                sessions: 0,
+                counters: emptyCounters(),
+                bytesBucket: limits.bytesPerMinute ? new TokenBucket(limits.bytesPerMinute / 60, limits.bytesPerMinute) : null
+            });
+        }
+        const entry = this.clients.get(key);
+
+        if (limits.sessions && entry.sessions >= limits.sessions) {
+            entry.counters.sessionsRefused++;
+            this.totals.sessionsRefused++;
+            return { status: 429, reason: `Too many sessions: ${entry.sessions} open, ${limits.sessions} allowed for ${key}` };
+        }
+        entry.sessions++;
+        entry.counters.sessionsOpened++;
+        this.totals.sessionsOpened++;
+        return { session: new LimitedSession(this, entry, limits) };
+    }
+
+    /**
+     * Forget clients with no sessions once their byte allowance has refilled,
+     * so reconnecting does not reset it
+     */
+    prune() {
+        this.clients.forEach((entry, key) => {
+            if (entry.sessions === 0 && (!entry.bytesBucket || entry.bytesBucket.full())) {
+                this.clients.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Counters for the proxy's /limits endpoint
+     */
+    stats() {
+        this.prune();
+        return {
+            limits: this.limits,
+            totals: this.totals,
+            clients: [...this.clients.values()].map(({ key, sessions, counters }) => ({ client: key, sessions, ...counters }))
+        };
+    }
+}
+
+module.exports = RateLimiter;
+module.exports.parseLimits = parseLimits;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
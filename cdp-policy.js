@@ -0,0 +1,206 @@
+/**
+ * Per-client CDP access policy
+ *
+ * Decides which CDP commands a client may send and which events it may see,
+ * by the token it authenticated with or its IP address. Used by cdp-proxy.js.
+ *
+ * A policy file (YAML or JSON) lists rules; the first rule matching the
+ * client applies, and clients no rule matches are refused:
+ *
+ *   rules:
+ *     - name: contractors
+ *       tokens: [contractor-a]        # token names from auth-gateway.js
+ *       ips: [203.0.113.0/24]         # addresses or CIDR ranges
+ *       readOnly: true                # only commands that read, see READ_ONLY_ALLOW
+ *       allow: [Page, DOM, CSS, Network, Runtime.enable]
+ *       deny: [Network.getCookies]
+ *     - name: ci
+ *       tokens: [ci]                  # no allow list: every method
+ *
+ * Patterns are a domain (`Page`), a method or event (`Page.navigate`), or
+ * globs (`DOM.set*`, `*`). `allow` and `deny` cover commands and events;
+ * `events: { allow, deny }` filters events separately. `limits` overrides
+ * the proxy's rate limits for the rule's clients (see cdp-limits.js).
+ *
+ * Author: Terragon Labs
+ */
+
+const fs = require('fs');
+const net = require('net');
+const yaml = require('js-yaml');
+const browserProtocol = require('devtools-protocol/json/browser_protocol.json');
+const jsProtocol = require('devtools-protocol/json/js_protocol.json');
+const { parseLimits } = require('./cdp-limits');
+
+// Commands a `readOnly: true` rule allows: reads, enabling and disabling a
+// domain's events for the client's own session, and what is needed to reach a
+// target and walk its DOM. Anything else is denied.
+const READ_ONLY_ALLOW = [
+    '*.get*', '*.describe*', '*.query*', '*.search*', '*.enable', '*.disable',
+    'Page.captureScreenshot', 'Page.captureSnapshot', 'DOMSnapshot.captureSnapshot',
+    'Page.startScreencast', 'Page.stopScreencast', 'Page.screencastFrameAck',
+    'DOM.requestChildNodes', 'DOM.resolveNode', 'DOM.pushNodesByBackendIdsToFrontend', 'DOM.performSearch', 'DOM.discardSearchResults',
+    'Runtime.releaseObject', 'Runtime.releaseObjectGroup',
+    'Target.setDiscoverTargets', 'Target.attachToTarget', 'Target.detachFromTarget', 'Target.sendMessageToTarget'
+];
+
+// Commands READ_ONLY_ALLOW matches by name that still change what the page or
+// browser does: Fetch.enable holds every request until the client continues
+// it, Debugger.enable stops the page at `debugger` statements, and the others
+// install virtual devices or take over browser dialogs.
+const READ_ONLY_EXCEPT = [
+    'Fetch.enable', 'Debugger.enable', 'WebAuthn.enable', 'DeviceAccess.enable', 'FedCm.enable',
+    'BluetoothEmulation.enable', 'SmartCardEmulation.enable'
+];
+
+// Every command in the pinned protocol (devtools-protocol in package.json).
+// `readOnly` only allows these, so a command a newer Chrome adds is refused
+// until the pin is moved and `npm run policy:read-only` has been reviewed.
+const PROTOCOL_COMMANDS = new Set([browserProtocol, jsProtocol].flatMap(protocol =>
+    protocol.domains.flatMap(domain => (domain.commands || []).map(command => `${domain.domain}.${command.name}`))));
+
+/**
+ * Regular expression for a list of patterns; a bare domain covers all its
+ * methods and events
+ */
+function compilePatterns(patterns) {
+    if (!patterns || patterns.length === 0) {
+        return null;
+    }
+    const sources = patterns.map((pattern) => {
+        const full = pattern.includes('.') || pattern.includes('*') ? pattern : `${pattern}.*`;
+        return full.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    });
+    return new RegExp(`^(?:${sources.join('|')})$`);
+}
+
+const readOnlyAllow = compilePatterns(READ_ONLY_ALLOW);
+const readOnlyExcept = compilePatterns(READ_ONLY_EXCEPT);
+
+/**
+ * Whether a `readOnly: true` rule lets a command through
+ */
+function isReadOnlyCommand(method) {
+    return PROTOCOL_COMMANDS.has(method) && readOnlyAllow.test(method) && !readOnlyExcept.test(method);
+}
+
+/**
+ * Addresses as written in the policy, with IPv4-mapped IPv6 addresses
+ * ("::ffff:10.0.0.1") treated as IPv4
+ */
+function normalizeAddress(address) {
+    return typeof address === 'string' && address.startsWith('::ffff:') && net.isIPv4(address.slice(7))
+        ? address.slice(7)
+        : address;
+}
+
+function compileAddresses(ips, ruleName) {
+    if (!ips || ips.length === 0) {
+        return null;
+    }
+    const list = new net.BlockList();
+    ips.forEach((entry) => {
+        const [address, prefix] = String(entry).split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) {
+            throw new Error(`Rule ${ruleName}: invalid address ${entry}`);
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, Number(prefix), type);
+        }
+    });
+    return list;
+}
+
+class AccessRule {
+    constructor(config, index) {
+        this.name = config.name || `rule-${index + 1}`;
+        this.tokens = config.tokens ? new Set(config.tokens.map(String)) : null;
+        this.ips = compileAddresses(config.ips, this.name);
+        this.readOnly = Boolean(config.readOnly);
+        this.limits = parseLimits(config.limits, `Rule ${this.name}`);
+
+        const events = config.events || {};
+        this.allow = compilePatterns(config.allow);
+        this.deny = compilePatterns(config.deny);
+        this.allowEvents = events.allow ? compilePatterns(events.allow) : this.allow;
+        this.denyEvents = compilePatterns(events.deny || config.deny);
+    }
+
+    /**
+     * Whether the rule applies to a client. A rule with neither tokens nor
+     * ips applies to everyone; with both, either may match.
+     */
+    matches({ identity, ip }) {
+        if (!this.tokens && !this.ips) {
+            return true;
+        }
+        if (this.tokens && identity && this.tokens.has(identity)) {
+            return true;
+        }
+        const address = normalizeAddress(ip);
+        return Boolean(this.ips && net.isIP(address) && this.ips.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4'));
+    }
+
+    allowsCommand(method) {
+        return (!this.allow || this.allow.test(method)) && !(this.deny && this.deny.test(method))
+            && (!this.readOnly || isReadOnlyCommand(method));
+    }
+
+    allowsEvent(method) {
+        return (!this.allowEvents || this.allowEvents.test(method)) && !(this.denyEvents && this.denyEvents.test(method));
+    }
+}
+
+class AccessPolicy {
+    constructor(config = {}) {
+        if (!Array.isArray(config.rules) || config.rules.length === 0) {
+            throw new Error('Policy needs a non-empty list of rules');
+        }
+        this.rules = config.rules.map((rule, index) => new AccessRule(rule || {}, index));
+    }
+
+    /**
+     * Load a YAML or JSON policy file
+     */
+    static load(file) {
+        // JSON is valid YAML, so one parser covers both formats
+        try {
+            return new AccessPolicy(yaml.load(fs.readFileSync(file, 'utf8')) || {});
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * The first rule that applies to a client ({ identity, ip }), or null
+     */
+    resolve(client) {
+        return this.rules.find(rule => rule.matches(client)) || null;
+    }
+}
+
+// `npm run policy:read-only` lists the pinned protocol's commands that
+// `readOnly: true` allows, for review whenever devtools-protocol is updated.
+// It fails if an entry in READ_ONLY_ALLOW or READ_ONLY_EXCEPT names nothing.
+if (require.main === module) {
+    const commands = [...PROTOCOL_COMMANDS].sort();
+    commands.filter(isReadOnlyCommand).forEach(method => console.log(method));
+    const unmatched = [...READ_ONLY_ALLOW, ...READ_ONLY_EXCEPT].filter((pattern) => {
+        const regex = compilePatterns([pattern]);
+        return !commands.some(method => regex.test(method));
+    });
+    if (unmatched.length > 0) {
+        console.error(`Not in the pinned protocol: ${unmatched.join(', ')}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = AccessPolicy;
+module.exports.AccessRule = AccessRule;
+module.exports.READ_ONLY_ALLOW = READ_ONLY_ALLOW;
+module.exports.isReadOnlyCommand = isReadOnlyCommand;
+module.exports.compilePatterns = compilePatterns;
+module.exports.normalizeAddress = normalizeAddress;
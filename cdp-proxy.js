@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+
+/**
+ * CDP-Aware Filtering Proxy
+ *
+ * Sits between nginx (or the client) and Chrome and looks inside WebSocket
+ * frames: each JSON-RPC command is checked against the client's access
+ * policy (cdp-policy.js) before it reaches Chrome, blocked commands get a CDP
+ * error back, and events the client may not see are dropped. The /json*
+ * endpoints that open, close or activate tabs are checked the same way.
+ *
+ * Clients are identified by the token they authenticated with and their IP.
+ * With AUTH_TOKENS/AUTH_TOKENS_FILE/AUTH_SECRET set the proxy checks tokens
+ * itself (see auth-gateway.js); otherwise it takes the token name from the
+ * X-Auth-User header nginx sets after auth_request. X-Auth-User and
+ * X-Real-IP are only trusted from loopback peers, i.e. nginx on this host.
+ *
+ * With AUDIT_LOG set, every command, its result and latency are also written
+ * to a JSON-lines audit log (see cdp-audit.js). Sessions per client and the
+ * rate of commands and bytes are limited by cdp-limits.js; the counters are
+ * served at /limits to local clients.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const url = require('url');
+const WebSocket = require('ws');
+const AccessPolicy = require('./cdp-policy');
+const AuthVerifier = require('./auth-gateway');
+const AuditLog = require('./cdp-audit');
+const RateLimiter = require('./cdp-limits');
+const { MAX_PAYLOAD_BYTES, isLoopback, parseMessage, unwrapCommand, serializeCommand, rejectUpgrade } = require('./proxy-utils');
+
+const { normalizeAddress } = AccessPolicy;
+const { stripCredentials } = AuthVerifier;
+
+const PORT = process.env.PORT || 9225;
+const HOST = process.env.HOST || '127.0.0.1';
+const UPSTREAM = process.env.UPSTREAM || '127.0.0.1:9222';
+const POLICY_FILE = process.env.POLICY_FILE || 'cdp-policy.yaml';
+
+// JSON-RPC error for commands the policy blocks. Chrome answers unknown
+// methods with the same code, so clients treat them alike.
+const BLOCKED_ERROR_CODE = -32601;
+const PARSE_ERROR_CODE = -32700;
+// Chrome's code for commands it cannot carry out right now
+const RATE_LIMIT_ERROR_CODE = -32000;
+
+// /json endpoints that change the browser, and the command each one amounts to
+const HTTP_COMMANDS = [
+    { prefix: '/json/new', method: 'Target.createTarget' },
+    { prefix: '/json/close/', method: 'Target.closeTarget' },
+    { prefix: '/json/activate/', method: 'Target.activateTarget' }
+];
+
+/**
+ * A CDP error in reply to a command, for the same flat session
+ */
+function errorReply(message, code, text) {
+    const reply = { id: message.id, error: { code, message: text } };
+    if (message.sessionId) {
+        reply.sessionId = message.sessionId;
+    }
+    return reply;
+}
+
+class CDPProxy {
+    constructor({ upstream = UPSTREAM, policy, verifier = null, audit = null, limiter = null }) {
+        this.upstream = upstream;
+        this.policy = policy;
+        this.verifier = verifier;
+        this.audit = audit;
+        this.limiter = limiter;
+        this.nextConnectionId = 1;
+        this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES, perMessageDeflate: false });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    listen(port, host, callback) {
+        this.server.listen(port, host, callback);
+        return this;
+    }
+
+    close(callback) {
+        this.wss.clients.forEach(ws => ws.close(1001));
+        this.server.close(callback);
+    }
+
+    /**
+     * Who is asking, as { identity, ip, rule }, or { status, reason } if the
+     * request must be refused
+     */
+    identify(req) {
+        const trusted = isLoopback(req.socket.remoteAddress);
+        const ip = normalizeAddress((trusted && req.headers['x-real-ip']) || req.socket.remoteAddress);
+
+        let identity = trusted ? req.headers['x-auth-user'] || null : null;
+        if (this.verifier) {
+            const result = this.verifier.verify(req.url, req.headers);
+            if (!result.ok) {
+                return { status: result.status, reason: result.reason };
+            }
+            identity = result.identity;
+        }
+
+        const rule = this.policy.resolve({ identity, ip });
+        if (!rule) {
+            return { status: 403, reason: `No access rule for ${identity || 'anonymous'} from ${ip}` };
+        }
+        return { identity, ip, rule };
+    }
+
+    /**
+     * Forward /json* and other HTTP requests to Chrome, refusing the ones
+     * that open, close or activate tabs when the policy denies that command
+     */
+    handleRequest(req, res) {
+        const pathname = url.parse(req.url).pathname;
+        if (pathname === '/limits' && this.limiter) {
+            this.sendLimits(req, res);
+            return;
+        }
+
+        const client = this.identify(req);
+        const command = HTTP_COMMANDS.find(entry => pathname.startsWith(entry.prefix));
+        let denied = client.rule ? null : client;
+        if (!denied && command && !client.rule.allowsCommand(command.method)) {
+            denied = { status: 403, reason: `${command.method} (${pathname}) is not allowed by access rule ${client.rule.name}` };
+        }
+        if (denied) {
+            console.log(`${new Date().toISOString()} - Refused ${req.method} ${pathname} from ${client.identity || 'anonymous'}@${client.ip || req.socket.remoteAddress}: ${denied.reason}`);
+            this.auditRequest(req, client, denied.status, denied.reason);
+            res.writeHead(denied.status, { 'Content-Type': 'text/plain' });
+            res.end(`${denied.reason}\n`);
+            return;
+        }
+
+        // The Host header is passed through unchanged so Chrome advertises
+        // WebSocket URLs that point back at us. A ?token= or URL signature
+        // stays here.
+        const [upstreamHost, upstreamPort] = this.upstream.split(':');
+        const upstreamReq = http.request({
+            host: upstreamHost,
+            port: upstreamPort,
+            method: req.method,
+            path: stripCredentials(req.url),
+            headers: req.headers
+        }, (upstreamRes) => {
+            this.auditRequest(req, client, upstreamRes.statusCode);
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+
+        upstreamReq.on('error', (error) => {
+            console.error(`Upstream request failed: ${error.message}`);
+            res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end(`Upstream Chrome unavailable: ${error.message}\n`);
+        });
+
+        req.pipe(upstreamReq);
+    }
+
+    /**
+     * Rate limit counters, for clients on this host only. Requests nginx
+     * forwards come from loopback too, but carry X-Real-IP.
+     */
+    sendLimits(req, res) {
+        if (!isLoopback(req.socket.remoteAddress) || req.headers['x-real-ip'] || req.headers['x-forwarded-for']) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            res.end('Rate limit counters are only served to local clients\n');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(this.limiter.stats(), null, 2) + '\n');
+    }
+
+    /**
+     * Open the upstream WebSocket first, so a client asking for an unknown
+     * target gets Chrome's own status code, then relay frames through the filter
+     */
+    handleUpgrade(req, socket, head) {
+        const client = this.identify(req);
+        const quota = client.rule && this.limiter ? this.limiter.openSession(client) : {};
+        const refused = client.rule ? quota : client;
+        if (refused.reason) {
+            console.log(`${new Date().toISOString()} - Refused WebSocket ${url.parse(req.url).pathname}: ${refused.reason}`);
+            this.auditRequest(req, client, refused.status, refused.reason);
+            rejectUpgrade(socket, refused.status, refused.reason);
+            return;
+        }
+
+        // The session counts against the client's quota until either side
+        // closes, or until Chrome refuses it
+        const limits = quota.session || null;
+        const release = () => {
+            if (limits) {
+                limits.close();
+            }
+        };
+        const upstream = new WebSocket(`ws://${this.upstream}${stripCredentials(req.url)}`, { perMessageDeflate: false, maxPayload: MAX_PAYLOAD_BYTES });
+        upstream.once('unexpected-response', (upstreamReq, upstreamRes) => {
+            release();
+            rejectUpgrade(socket, upstreamRes.statusCode, `Upstream refused the WebSocket: ${upstreamRes.statusMessage}`);
+            upstreamReq.destroy();
+        });
+        upstream.on('error', (error) => {
+            if (!socket.destroyed && upstream.readyState !== WebSocket.OPEN) {
+                rejectUpgrade(socket, 502, `Upstream Chrome unavailable: ${error.message}`);
+            }
+        });
+        upstream.on('close', release);
+        // A client that goes away before the upgrade completes never reaches
+        // relay(), so its upstream WebSocket and quota slot are freed here
+        const abandon = () => {
+            upstream.terminate();
+            release();
+        };
+        socket.once('close', abandon);
+        upstream.once('open', () => {
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                socket.off('close', abandon);
+                this.relay(ws, upstream, { ...client, connection: this.nextConnectionId++, path: url.parse(req.url).pathname }, limits);
+            });
+        });
+    }
+
+    /**
+     * Audit an HTTP request or refused upgrade. Only the path is logged, as
+     * the query string may hold a token or signature.
+     */
+    auditRequest(req, client, status, reason) {
+        if (!this.audit) {
+            return;
+        }
+        this.audit.write({
+            type: req.headers.upgrade ? 'session.refused' : 'http',
+            identity: client.identity || null,
+            ip: client.ip || normalizeAddress(req.socket.remoteAddress),
+            rule: client.rule ? client.rule.name : null,
+            method: req.method,
+            path: url.parse(req.url).pathname,
+            status,
+            ...(reason ? { reason } : {})
+        });
+    }
+
+    relay(ws, upstream, session, limits) {
+        const stats = { forwarded: 0, blocked: 0, limited: 0, stripped: 0 };
+        const audit = this.audit ? this.audit.openSession(session) : null;
+        const who = `${session.identity || 'anonymous'}@${session.ip}`;
+        console.log(`${new Date().toISOString()} - WebSocket #${session.connection} opened: ${session.path} for ${who} (rule ${session.rule.name})`);
+
+        ws.on('message', (data, isBinary) => {
+            const verdict = this.filterCommand(session.rule, isBinary ? data : String(data));
+            if (verdict.reply) {
+                stats.blocked++;
+                console.log(`${new Date().toISOString()} - WebSocket #${session.connection}: blocked ${verdict.method || 'unparseable frame'} for ${who}`);
+                ws.send(JSON.stringify(verdict.reply));
+                if (audit) {
+                    audit.blocked(verdict.message, verdict.method, verdict.reply.error);
+                }
+                return;
+            }
+            const overLimit = limits ? limits.check(Buffer.byteLength(verdict.forward)) : null;
+            if (overLimit) {
+                stats.limited++;
+                const reply = errorReply(verdict.message, RATE_LIMIT_ERROR_CODE, `Rate limit exceeded: ${overLimit}`);
+                ws.send(JSON.stringify(reply));
+                if (audit) {
+                    audit.blocked(verdict.message, verdict.message.method, reply.error, 'limited');
+                }
+                return;
+            }
+            stats.forwarded++;
+            if (audit) {
+                audit.command(verdict.message);
+            }
+            upstream.send(verdict.forward);
+        });
+
+        upstream.on('message', (data) => {
+            const message = String(data);
+            const parsed = parseMessage(message);
+            if (audit) {
+                audit.message(parsed);
+            }
+            if (!this.allowsMessage(session.rule, parsed)) {
+                stats.stripped++;
+                return;
+            }
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(message);
+            }
+        });
+
+        upstream.on('close', (code, reason) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+            }
+        });
+
+        ws.on('close', (code) => {
+            if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+                upstream.close();
+            }
+            if (limits) {
+                limits.close();
+            }
+            console.log(`${new Date().toISOString()} - WebSocket #${session.connection} closed: ${stats.forwarded} command(s) forwarded, ${stats.blocked} blocked, ${stats.limited} rate-limited, ${stats.stripped} event(s) stripped`);
+            if (audit) {
+                audit.close({ code, ...stats });
+            }
+        });
+
+        upstream.on('error', (error) => {
+            console.error(`Upstream WebSocket #${session.connection} error: ${error.message}`);
+            ws.close(1011, 'Upstream error');
+        });
+
+        ws.on('error', (error) => {
+            console.error(`Client WebSocket #${session.connection} error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Check a frame from the client. Returns { forward: frame, message } with
+     * the command re-serialized, so Chrome sees exactly what was checked, or
+     * { reply, method, message } with the error to send back instead.
+     */
+    filterCommand(rule, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return { reply: { error: { code: PARSE_ERROR_CODE, message: 'Message must be a valid JSON' } } };
+        }
+        // Envelope problems are Chrome's to report
+        if (!message || typeof message !== 'object' || typeof message.method !== 'string') {
+            return { forward: JSON.stringify(message), message };
+        }
+
+        // Commands for attached targets travel inside Target.sendMessageToTarget,
+        // which may itself be wrapped again; each level has to be allowed
+        const chain = unwrapCommand(message);
+        const refused = chain.find(command => !rule.allowsCommand(command.method));
+        if (!refused) {
+            return { forward: serializeCommand(chain), message };
+        }
+
+        const reply = errorReply(message, BLOCKED_ERROR_CODE, `'${refused.method}' is not allowed by access rule ${rule.name}`);
+        return { reply, method: refused.method, message };
+    }
+
+    /**
+     * Whether a parsed message from Chrome may reach the client: replies
+     * (and anything unparseable) always, events only if the rule allows them
+     */
+    allowsMessage(rule, message) {
+        if (!message || typeof message.method !== 'string') {
+            return true;
+        }
+        // Events from attached targets arrive inside Target.receivedMessageFromTarget,
+        // nested once per level of attachment
+        let event = message;
+        while (event.method === 'Target.receivedMessageFromTarget') {
+            if (!rule.allowsEvent(event.method)) {
+                return false;
+            }
+            const inner = this.innerMessage(event.params);
+            if (!inner || typeof inner.method !== 'string') {
+                return true;
+            }
+            event = inner;
+        }
+        return rule.allowsEvent(event.method);
+    }
+
+    innerMessage(params) {
+        try {
+            return JSON.parse(params && params.message);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+if (require.main === module) {
+    let proxy;
+    try {
+        proxy = new CDPProxy({
+            upstream: UPSTREAM,
+            policy: AccessPolicy.load(POLICY_FILE),
+            verifier: AuthVerifier.fromEnv(),
+            audit: AuditLog.fromEnv(),
+            limiter: RateLimiter.fromEnv()
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    proxy.listen(PORT, HOST, () => {
+        console.log(`CDP filtering proxy running at http://${HOST}:${PORT}`);
+        console.log(`Forwarding to Chrome at http://${UPSTREAM}`);
+        console.log(`Access rules from ${POLICY_FILE}: ${proxy.policy.rules.map(rule => rule.name).join(', ')}`);
+        console.log(proxy.verifier ? 'Checking tokens and signed URLs itself' : 'Taking token names from X-Auth-User (set by nginx auth_request)');
+        const { sessions, commandsPerSecond, bytesPerMinute } = proxy.limiter.limits;
+        console.log(`Default limits: ${sessions || 'unlimited'} session(s) per client, ${commandsPerSecond || 'unlimited'} command(s)/s per session, ${bytesPerMinute || 'unlimited'} byte(s)/min per client`);
+        if (proxy.audit) {
+            console.log(`Audit log: ${proxy.audit.file} (rotated at ${proxy.audit.maxBytes / 1024 / 1024} MB, ${proxy.audit.maxFiles} kept)`);
+            if (proxy.audit.digestKeyGenerated) {
+                console.log('AUDIT_DIGEST_KEY is not set: params digests use a random key and only match within this run');
+            }
+        }
+        console.log('\nPress Ctrl+C to stop');
+    });
+
+    // Graceful shutdown
+    const shutdown = () => {
+        console.log('\nShutting down CDP filtering proxy...');
+        proxy.close(() => {
+            if (proxy.audit) {
+                proxy.audit.close();
+            }
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    // After an external logrotate has moved the audit log away
+    process.on('SIGHUP', () => {
+        if (proxy.audit) {
+            proxy.audit.reopen();
+        }
+    });
+}
+
+module.exports = CDPProxy;
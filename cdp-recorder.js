@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome DevTools Protocol Recording Proxy
+ *
+ * Sits in front of a real Chrome and records every /json* HTTP exchange and
+ * every WebSocket frame to a JSON-lines file. The recording can be served
+ * back by mock-chrome-debugger.js with MOCK_REPLAY=<file>.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const fs = require('fs');
+const WebSocket = require('ws');
+const url = require('url');
+
+const PORT = process.env.PORT || 9224;
+const HOST = process.env.HOST || '127.0.0.1';
+const UPSTREAM = process.env.UPSTREAM || '127.0.0.1:9222';
+const RECORD_FILE = process.env.RECORD_FILE || 'cdp-recording.jsonl';
+
+const output = fs.createWriteStream(RECORD_FILE, { flags: 'w' });
+let nextConnectionId = 1;
+
+/**
+ * Append one entry to the recording
+ */
+function record(entry) {
+    output.write(JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+}
+
+function parseFrame(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return String(data);
+    }
+}
+
+// Forward plain HTTP requests to Chrome. The Host header is passed through
+// unchanged so Chrome advertises WebSocket URLs that point back at us.
+const server = http.createServer((req, res) => {
+    const pathname = url.parse(req.url).pathname;
+    const [upstreamHost, upstreamPort] = UPSTREAM.split(':');
+
+    const upstreamReq = http.request({
+        host: upstreamHost,
+        port: upstreamPort,
+        method: req.method,
+        path: req.url,
+        headers: req.headers
+    }, (upstreamRes) => {
+        const chunks = [];
+        upstreamRes.on('data', chunk => chunks.push(chunk));
+        upstreamRes.on('end', () => {
+            const body = Buffer.concat(chunks);
+            if (pathname === '/json' || pathname.startsWith('/json/')) {
+                record({
+                    type: 'http',
+                    method: req.method,
+                    path: req.url,
+                    status: upstreamRes.statusCode,
+                    contentType: upstreamRes.headers['content-type'] || 'text/plain',
+                    body: body.toString('utf8')
+                });
+            }
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            res.end(body);
+        });
+    });
+
+    upstreamReq.on('error', (error) => {
+        console.error(`Upstream request failed: ${error.message}`);
+        res.writeHead(502, { 'Content-Type': 'text/plain' });
+        res.end(`Upstream Chrome unavailable: ${error.message}\n`);
+    });
+
+    req.pipe(upstreamReq);
+});
+
+// Relay WebSocket connections to Chrome, recording frames in both directions
+const wss = new WebSocket.Server({ server });
+
+wss.on('connection', (client, req) => {
+    const connection = nextConnectionId++;
+    const pathname = url.parse(req.url).pathname;
+    const upstream = new WebSocket(`ws://${UPSTREAM}${req.url}`, { perMessageDeflate: false, maxPayload: 256 * 1024 * 1024 });
+    const pending = [];
+
+    console.log(`${new Date().toISOString()} - WebSocket #${connection} opened: ${pathname}`);
+    record({ type: 'ws-open', connection, path: pathname });
+
+    client.on('message', (data) => {
+        record({ type: 'ws-frame', connection, from: 'client', data: parseFrame(data) });
+        if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(String(data));
+        } else {
+            pending.push(String(data));
+        }
+    });
+
+    upstream.on('open', () => {
+        pending.splice(0).forEach(data => upstream.send(data));
+    });
+
+    upstream.on('message', (data) => {
+        record({ type: 'ws-frame', connection, from: 'browser', data: parseFrame(data) });
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(String(data));
+        }
+    });
+
+    upstream.on('close', (code) => {
+        record({ type: 'ws-close', connection, from: 'browser', code });
+        if (client.readyState === WebSocket.OPEN) {
+            client.close(code === 1005 ? 1000 : code);
+        }
+    });
+
+    client.on('close', (code) => {
+        record({ type: 'ws-close', connection, from: 'client', code });
+        if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+            upstream.close();
+        }
+        console.log(`${new Date().toISOString()} - WebSocket #${connection} closed`);
+    });
+
+    upstream.on('error', (error) => {
+        console.error(`Upstream WebSocket #${connection} error: ${error.message}`);
+        client.close(1011, 'Upstream error');
+    });
+
+    client.on('error', (error) => {
+        console.error(`Client WebSocket #${connection} error: ${error.message}`);
+    });
+});
+
+// Start server
+server.listen(PORT, HOST, () => {
+    console.log(`CDP recording proxy running at http://${HOST}:${PORT}`);
+    console.log(`Forwarding to Chrome at http://${UPSTREAM}`);
+    console.log(`Recording to ${RECORD_FILE}`);
+    console.log('\nPress Ctrl+C to stop');
+});
+
+// Graceful shutdown
+function shutdown() {
+    console.log('\nShutting down recording proxy...');
+    wss.clients.forEach(ws => ws.close(1001));
+    server.close(() => {
+        output.end(() => {
+            console.log(`Recording saved to ${RECORD_FILE}`);
+            process.exit(0);
+        });
+    });
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
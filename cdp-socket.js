@@ -0,0 +1,214 @@
+/**
+ * CDP over a plain `ws` WebSocket
+ *
+ * chrome-remote-interface opens its WebSocket with fixed options, so it
+ * cannot be given a CA, a client certificate, rejectUnauthorized: false or
+ * an Authorization header. CDPSocket speaks the same protocol over a
+ * WebSocket we open ourselves, with the same command and event API, so
+ * TLS-terminating and authenticating proxies can be tested.
+ *
+ *   const targets = await CDPSocket.list({ host, port: 443, secure: true, tls: { ca } });
+ *   const client = await CDPSocket.connect('wss://host/devtools/page/<id>', { ca });
+ *   await client.Runtime.evaluate({ expression: '1 + 1' });
+ *
+ * Author: Terragon Labs
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const WebSocket = require('ws');
+const CDP = require('chrome-remote-interface');
+const browserProtocol = require('devtools-protocol/json/browser_protocol.json');
+const jsProtocol = require('devtools-protocol/json/js_protocol.json');
+
+// Same limit chrome-remote-interface uses for incoming messages
+const MAX_PAYLOAD_BYTES = 256 * 1024 * 1024;
+
+// Event names per domain, so `client.Page.loadEventFired()` can be told
+// apart from a command
+const PROTOCOL_EVENTS = new Map();
+[...browserProtocol.domains, ...jsProtocol.domains].forEach((domain) => {
+    PROTOCOL_EVENTS.set(domain.domain, new Set((domain.events || []).map(event => event.name)));
+});
+
+/**
+ * Add `client.<Domain>` objects to an EventEmitter with a send(method, params)
+ * method. Commands are functions returning their result; events are functions
+ * that take a listener (and return a function that removes it) or, without
+ * one, return a promise for the next occurrence.
+ */
+function withDomains(client) {
+    const domains = new Map();
+    const domain = (name) => {
+        if (!domains.has(name)) {
+            const events = PROTOCOL_EVENTS.get(name);
+            domains.set(name, new Proxy({}, {
+                get: (target, member) => {
+                    if (typeof member !== 'string') {
+                        return undefined;
+                    }
+                    const method = `${name}.${member}`;
+                    if (!events.has(member)) {
+                        return params => client.send(method, params);
+                    }
+                    return (listener) => {
+                        if (typeof listener === 'function') {
+                            client.on(method, listener);
+                            return () => client.off(method, listener);
+                        }
+                        return new Promise(resolve => client.once(method, resolve));
+                    };
+                }
+            }));
+        }
+        return domains.get(name);
+    };
+
+    return new Proxy(client, {
+        get(target, property, receiver) {
+            if (typeof property === 'string' && PROTOCOL_EVENTS.has(property) && !(property in target)) {
+                return domain(property);
+            }
+            return Reflect.get(target, property, receiver);
+        }
+    });
+}
+
+class CDPSocket extends EventEmitter {
+    constructor(ws) {
+        super();
+        this.ws = ws;
+        this.nextId = 1;
+        this.callbacks = new Map();
+        this.closing = false;
+
+        ws.on('message', data => this.handleMessage(data));
+        // Errors after the handshake are followed by 'close', handled there
+        ws.on('error', () => {});
+        ws.on('close', () => {
+            this.callbacks.forEach(({ reject }) => reject(new Error('WebSocket connection closed')));
+            this.callbacks.clear();
+            // Like chrome-remote-interface, a close() we asked for is not a disconnect
+            if (!this.closing) {
+                this.emit('disconnect');
+            }
+        });
+
+        return withDomains(this);
+    }
+
+    /**
+     * Open a WebSocket to a ws:// or wss:// debugger URL. Options go to the
+     * `ws` constructor: ca, cert, key, rejectUnauthorized, headers, handshakeTimeout...
+     */
+    static connect(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, { perMessageDeflate: false, maxPayload: MAX_PAYLOAD_BYTES, ...options });
+            ws.once('open', () => {
+                ws.removeListener('error', reject);
+                resolve(new CDPSocket(ws));
+            });
+            ws.once('error', reject);
+        });
+    }
+
+    /**
+     * GET /json/list, or <basePath>/json/list behind a proxy that serves
+     * several browsers. Plain HTTP without extra headers or a base path goes
+     * through chrome-remote-interface; otherwise the request is made here,
+     * over HTTPS with the `tls` options when `secure` is set.
+     */
+    static list({ host, port, timeout, secure = false, tls = {}, headers = {}, basePath = '' }) {
+        if (!secure && Object.keys(headers).length === 0 && !basePath) {
+            return CDP.List({ host, port, timeout });
+        }
+
+        return new Promise((resolve, reject) => {
+            const transport = secure ? https : http;
+            const req = transport.get({ host, port, path: `${basePath}/json/list`, timeout, headers, ...(secure ? tls : {}) }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        reject(new Error(body || `HTTP ${res.statusCode} ${http.STATUS_CODES[res.statusCode] || ''}`.trim()));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (error) {
+                        reject(new Error(`Invalid /json/list response: ${error.message}`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+            req.on('error', reject);
+        });
+    }
+
+    send(method, params = {}, sessionId) {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('WebSocket is not open'));
+        }
+
+        const id = this.nextId++;
+        const message = { id, method, params };
+        if (sessionId) {
+            message.sessionId = sessionId;
+        }
+        return new Promise((resolve, reject) => {
+            this.callbacks.set(id, { resolve, reject });
+            this.ws.send(JSON.stringify(message), (error) => {
+                if (error && this.callbacks.delete(id)) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    close() {
+        this.closing = true;
+        if (this.ws.readyState === WebSocket.CLOSED) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.ws.once('close', () => resolve());
+            this.ws.close();
+        });
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+
+        if (message.id !== undefined) {
+            const callback = this.callbacks.get(message.id);
+            if (!callback) {
+                return;
+            }
+            this.callbacks.delete(message.id);
+            if (message.error) {
+                // Same message format as chrome-remote-interface's ProtocolError
+                const error = new Error(message.error.data ? `${message.error.message} (${message.error.data})` : message.error.message);
+                error.response = message.error;
+                callback.reject(error);
+            } else {
+                callback.resolve(message.result);
+            }
+            return;
+        }
+
+        this.emit('event', message);
+        this.emit(message.method, message.params, message.sessionId);
+    }
+}
+
+module.exports = CDPSocket;
+module.exports.withDomains = withDomains;
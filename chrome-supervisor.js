@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+
+/**
+ * Chrome Supervisor
+ *
+ * Starts Chrome with start-chrome.sh's flags, watches it, and restarts it
+ * when it stops working. Every few seconds it checks two things:
+ *
+ *   1. GET /json/version answers: the browser process is alive
+ *   2. Runtime.evaluate("1 + 1") on a page answers: the renderer is not hung
+ *
+ * A browser that exits is restarted at once; one that fails
+ * SUPERVISOR_FAILURES checks in a row is killed (its whole process group)
+ * and restarted. Restarts back off exponentially while they keep failing,
+ * and every restart is kept in a history. /health serves all of it as JSON,
+ * with status 503 while Chrome is down, so nginx or a load balancer can
+ * check the browser rather than only nginx.
+ *
+ * Backends:
+ *   chrome  start-chrome.sh --port <CHROME_PORT> [--user-data DIR] [--display D] [--gui]
+ *   mock    mock-chrome-debugger.js, whose /__control faults stand in for a
+ *           hung renderer (dropRate: 1) or a failing browser (jsonErrorStatus)
+ *
+ * Author: Terragon Labs
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const CDPSocket = require('./cdp-socket');
+const { fetchJson, signalGroup } = require('./browser-pool');
+
+function envNumber(name, fallback) {
+    return process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+}
+
+const PORT = process.env.PORT || 9231;
+const HOST = process.env.HOST || '127.0.0.1';
+
+const DEFAULT_OPTIONS = {
+    backend: 'chrome',
+    chromePort: 9222,
+    // start-chrome.sh's own defaults apply to what is left unset
+    userDataDir: null,
+    display: null,
+    headless: true,
+    chromeScript: path.join(__dirname, 'start-chrome.sh'),
+    mockScript: path.join(__dirname, 'mock-chrome-debugger.js'),
+    // Output of start-chrome.sh and Chrome
+    logFile: null,
+    // Time between checks, and how long each part of a check may take (ms)
+    checkInterval: 5000,
+    httpTimeout: 3000,
+    evaluateTimeout: 5000,
+    // Failed checks in a row before Chrome is restarted
+    failureThreshold: 3,
+    // How long a new browser has to pass its first check (ms)
+    startupTimeout: 30000,
+    // Wait before a restart, doubled per restart in a row up to the max (ms)
+    minRestartDelay: 1000,
+    maxRestartDelay: 60000,
+    // Healthy this long after a restart and the delay starts over (ms)
+    stableAfter: 60000,
+    // Time the process group gets to exit after SIGTERM before SIGKILL (ms)
+    killGrace: 5000,
+    historySize: 50
+};
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+class ChromeSupervisor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!['chrome', 'mock'].includes(this.options.backend)) {
+            throw new Error(`Unknown supervisor backend ${this.options.backend}: use chrome or mock`);
+        }
+        this.logFile = this.options.logFile || `/tmp/chrome-supervisor-${this.options.chromePort}.log`;
+        // stopped, starting, healthy, unhealthy, restarting, backoff
+        this.state = 'stopped';
+        this.child = null;
+        this.pid = null;
+        this.startedAt = null;
+        this.healthySince = null;
+        this.version = null;
+        this.lastCheck = null;
+        this.consecutiveFailures = 0;
+        // Restarts in a row without a stable period in between
+        this.restartStreak = 0;
+        this.nextRestartAt = null;
+        this.history = [];
+        this.counters = { checks: 0, failedChecks: 0, restarts: 0, crashes: 0, hangs: 0 };
+        this.checkTimer = null;
+        this.stopping = false;
+    }
+
+    log(message) {
+        console.log(`${new Date().toISOString()} - ${message}`);
+    }
+
+    /**
+     * Start Chrome and watch it. A browser already serving the port was not
+     * started here and could not be restarted, so it is refused, as
+     * start-chrome.sh refuses it.
+     */
+    async start() {
+        try {
+            await fetchJson(this.options.chromePort, '/json/version', this.options.httpTimeout);
+        } catch (error) {
+            this.spawnChrome();
+            this.scheduleCheck();
+            return this;
+        }
+        throw new Error(`Chrome is already running on port ${this.options.chromePort}; stop it first (./start-chrome.sh --kill) so the supervisor can manage it`);
+    }
+
+    async stop() {
+        this.stopping = true;
+        clearTimeout(this.checkTimer);
+        await this.killChrome();
+        this.state = 'stopped';
+    }
+
+    spawnChrome() {
+        const { backend, chromePort, userDataDir, display, headless } = this.options;
+        let command;
+        let args;
+        let env = {};
+        if (backend === 'mock') {
+            [command, args, env] = [process.execPath, [this.options.mockScript], { PORT: String(chromePort), HOST: '127.0.0.1' }];
+        } else {
+            command = this.options.chromeScript;
+            args = ['--port', String(chromePort)];
+            if (userDataDir) {
+                args.push('--user-data', userDataDir);
+            }
+            if (display) {
+                args.push('--display', display);
+            }
+            if (!headless) {
+                args.push('--gui');
+            }
+        }
+
+        const logFd = fs.openSync(this.logFile, 'a');
+        // Its own process group, so Chrome's helpers and Xvfb go with it
+        const child = spawn(command, args, { detached: true, stdio: ['ignore', logFd, logFd], env: { ...process.env, ...env } });
+        fs.closeSync(logFd);
+
+        this.child = child;
+        this.pid = child.pid;
+        this.state = 'starting';
+        this.startedAt = Date.now();
+        this.healthySince = null;
+        this.consecutiveFailures = 0;
+        this.log(`Started ${backend} on port ${chromePort} (process group ${child.pid}), output in ${this.logFile}`);
+
+        child.on('error', (error) => {
+            this.log(`Could not start ${command}: ${error.message}`);
+        });
+        child.on('exit', (code, signal) => {
+            if (this.child !== child) {
+                return;
+            }
+            this.child = null;
+            if (this.stopping || this.state === 'restarting') {
+                return;
+            }
+            this.counters.crashes++;
+            this.restart(`browser exited (${signal || `code ${code}`})`);
+        });
+    }
+
+    /**
+     * SIGTERM to the process group, then SIGKILL after the grace period
+     */
+    async killChrome() {
+        const pid = this.pid;
+        if (!pid || !signalGroup(pid, 'SIGTERM')) {
+            return;
+        }
+        const deadline = Date.now() + this.options.killGrace;
+        while (signalGroup(pid, 0) && Date.now() < deadline) {
+            await delay(100);
+        }
+        if (signalGroup(pid, 0)) {
+            this.log(`Process group ${pid} ignored SIGTERM, killing it`);
+            signalGroup(pid, 'SIGKILL');
+        }
+    }
+
+    scheduleCheck() {
+        clearTimeout(this.checkTimer);
+        if (!this.stopping) {
+            this.checkTimer = setTimeout(() => this.check(), this.options.checkInterval);
+        }
+    }
+
+    /**
+     * One round of checks; restarts Chrome after too many failures
+     */
+    async check() {
+        if (this.state === 'restarting' || this.state === 'backoff') {
+            return;
+        }
+        const result = await this.runChecks();
+        // Chrome exited while the checks ran; restart() has taken over
+        if (this.stopping || this.state === 'restarting' || this.state === 'backoff') {
+            return;
+        }
+        this.lastCheck = result;
+        this.counters.checks++;
+
+        if (result.ok) {
+            this.consecutiveFailures = 0;
+            if (this.state !== 'healthy') {
+                this.healthySince = Date.now();
+                this.recovered();
+                this.log(`Chrome on port ${this.options.chromePort} is healthy (${this.version || 'unknown version'})`);
+            }
+            this.state = 'healthy';
+            if (this.restartStreak > 0 && Date.now() - this.healthySince >= this.options.stableAfter) {
+                this.restartStreak = 0;
+            }
+        } else if (this.state === 'starting' && Date.now() - this.startedAt < this.options.startupTimeout) {
+            // Still coming up
+        } else {
+            this.counters.failedChecks++;
+            this.consecutiveFailures++;
+            this.state = 'unhealthy';
+            this.log(`Check failed (${this.consecutiveFailures}/${this.options.failureThreshold}): ${result.error}`);
+            if (this.consecutiveFailures >= this.options.failureThreshold) {
+                if (result.hung) {
+                    this.counters.hangs++;
+                }
+                this.restart(result.hung ? `hung renderer: ${result.error}` : result.error);
+                return;
+            }
+        }
+        this.scheduleCheck();
+    }
+
+    /**
+     * The version endpoint, then a Runtime.evaluate heartbeat on the first
+     * page. Returns { ok, time, http, evaluate, error, hung }.
+     */
+    async runChecks() {
+        const { chromePort, httpTimeout, evaluateTimeout } = this.options;
+        const result = { ok: false, time: new Date().toISOString(), http: null, evaluate: null };
+
+        let start = Date.now();
+        try {
+            const version = await fetchJson(chromePort, '/json/version', httpTimeout);
+            this.version = version.Browser || null;
+            result.http = { ok: true, latencyMs: Date.now() - start };
+        } catch (error) {
+            result.http = { ok: false, latencyMs: Date.now() - start, error: error.message };
+            result.error = error.message;
+            return result;
+        }
+
+        start = Date.now();
+        let client = null;
+        try {
+            const targets = await fetchJson(chromePort, '/json/list', httpTimeout);
+            const page = targets.find(target => target.type === 'page' && target.webSocketDebuggerUrl);
+            if (!page) {
+                // Nothing to evaluate in, but the browser answers
+                result.evaluate = { ok: true, skipped: 'no page target' };
+                result.ok = true;
+                return result;
+            }
+            const pagePath = new URL(page.webSocketDebuggerUrl).pathname;
+            client = await CDPSocket.connect(`ws://127.0.0.1:${chromePort}${pagePath}`, { handshakeTimeout: httpTimeout });
+            const response = await withTimeout(
+                client.Runtime.evaluate({ expression: '1 + 1', returnByValue: true }),
+                evaluateTimeout,
+                `Runtime.evaluate timed out after ${evaluateTimeout}ms`
+            );
+            if (!response.result || response.result.value !== 2) {
+                throw new Error(`Runtime.evaluate returned ${JSON.stringify(response.result)}`);
+            }
+            result.evaluate = { ok: true, latencyMs: Date.now() - start, target: page.id };
+            result.ok = true;
+        } catch (error) {
+            result.evaluate = { ok: false, latencyMs: Date.now() - start, error: error.message };
+            result.error = error.message;
+            result.hung = /timed out/.test(error.message);
+        } finally {
+            if (client) {
+                // A hung page may never answer the close handshake
+                client.ws.terminate();
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Kill Chrome and start it again after the backoff delay
+     */
+    async restart(reason) {
+        if (this.stopping || this.state === 'restarting' || this.state === 'backoff') {
+            return;
+        }
+        clearTimeout(this.checkTimer);
+        this.state = 'restarting';
+        this.restartStreak++;
+        this.counters.restarts++;
+        const wait = Math.min(this.options.minRestartDelay * 2 ** (this.restartStreak - 1), this.options.maxRestartDelay);
+        this.history.unshift({
+            time: new Date().toISOString(),
+            reason,
+            uptimeMs: this.startedAt ? Date.now() - this.startedAt : null,
+            delayMs: wait,
+            recoveredAt: null,
+            downtimeMs: null
+        });
+        this.history.length = Math.min(this.history.length, this.options.historySize);
+        this.log(`Restarting Chrome in ${wait}ms: ${reason}`);
+        this.emit('restart', this.history[0]);
+
+        await this.killChrome();
+        if (this.stopping) {
+            return;
+        }
+        this.state = 'backoff';
+        this.nextRestartAt = Date.now() + wait;
+        await delay(wait);
+        this.nextRestartAt = null;
+        if (this.stopping) {
+            return;
+        }
+        this.spawnChrome();
+        this.scheduleCheck();
+    }
+
+    recovered() {
+        const entry = this.history[0];
+        if (entry && !entry.recoveredAt) {
+            entry.recoveredAt = new Date().toISOString();
+            entry.downtimeMs = Date.parse(entry.recoveredAt) - Date.parse(entry.time);
+        }
+    }
+
+    /**
+     * State for /health; `healthy` is false unless the last check passed
+     */
+    health() {
+        const now = Date.now();
+        return {
+            status: this.state,
+            healthy: this.state === 'healthy',
+            chrome: {
+                backend: this.options.backend,
+                port: this.options.chromePort,
+                pid: this.child ? this.pid : null,
+                version: this.version,
+                uptimeMs: this.child && this.startedAt ? now - this.startedAt : null,
+                healthyForMs: this.state === 'healthy' ? now - this.healthySince : null
+            },
+            checks: {
+                intervalMs: this.options.checkInterval,
+                consecutiveFailures: this.consecutiveFailures,
+                failureThreshold: this.options.failureThreshold,
+                last: this.lastCheck,
+                ...this.counters
+            },
+            restarts: {
+                count: this.counters.restarts,
+                streak: this.restartStreak,
+                nextRestartInMs: this.nextRestartAt ? Math.max(0, this.nextRestartAt - now) : null,
+                history: this.history
+            }
+        };
+    }
+}
+
+if (require.main === module) {
+    let supervisor;
+    try {
+        supervisor = new ChromeSupervisor({
+            backend: process.env.SUPERVISOR_BACKEND || DEFAULT_OPTIONS.backend,
+            chromePort: envNumber('CHROME_PORT', DEFAULT_OPTIONS.chromePort),
+            userDataDir: process.env.CHROME_USER_DATA || null,
+            display: process.env.DISPLAY || null,
+            headless: process.env.HEADLESS !== 'false',
+            chromeScript: process.env.SUPERVISOR_CHROME_SCRIPT || DEFAULT_OPTIONS.chromeScript,
+            logFile: process.env.SUPERVISOR_LOG || null,
+            checkInterval: envNumber('SUPERVISOR_CHECK_INTERVAL', DEFAULT_OPTIONS.checkInterval),
+            evaluateTimeout: envNumber('SUPERVISOR_EVALUATE_TIMEOUT', DEFAULT_OPTIONS.evaluateTimeout),
+            failureThreshold: envNumber('SUPERVISOR_FAILURES', DEFAULT_OPTIONS.failureThreshold),
+            startupTimeout: envNumber('SUPERVISOR_STARTUP_TIMEOUT', DEFAULT_OPTIONS.startupTimeout),
+            maxRestartDelay: envNumber('SUPERVISOR_MAX_BACKOFF', DEFAULT_OPTIONS.maxRestartDelay)
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const server = http.createServer((req, res) => {
+        if (new URL(req.url, 'http://localhost').pathname !== '/health') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found. Use /health\n');
+            return;
+        }
+        const health = supervisor.health();
+        res.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(health, null, 2) + '\n');
+    });
+
+    supervisor.start().then(() => {
+        server.listen(PORT, HOST, () => {
+            console.log(`Chrome supervisor running at http://${HOST}:${PORT}/health`);
+            console.log(`Watching ${supervisor.options.backend} on port ${supervisor.options.chromePort}: every ${supervisor.options.checkInterval}ms, restart after ${supervisor.options.failureThreshold} failed checks`);
+            console.log('\nPress Ctrl+C to stop');
+        });
+    }, (error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+
+    // Graceful shutdown: Chrome stops with the supervisor
+    const shutdown = () => {
+        console.log('\nShutting down Chrome supervisor...');
+        server.close();
+        supervisor.stop().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = ChromeSupervisor;
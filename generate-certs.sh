@@ -0,0 +1,160 @@
+#!/bin/bash
+# Generate a local CA, server and client certificates for TLS testing
+# Used by the mock Chrome debugger (MOCK_TLS=true) and test-connection.js --secure
+# Author: Terragon Labs
+
+set -e
+
+# Configuration
+CERT_DIR=${CERT_DIR:-./certs}
+CERT_DAYS=${CERT_DAYS:-365}
+SERVER_NAMES="localhost"
+SERVER_IPS="127.0.0.1 ::1"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+NC='\033[0m'
+
+# Functions
+log() {
+    echo -e "${GREEN}[INFO]${NC} $1"
+}
+
+warn() {
+    echo -e "${YELLOW}[WARN]${NC} $1"
+}
+
+error() {
+    echo -e "${RED}[ERROR]${NC} $1"
+    exit 1
+}
+
+# Help function
+show_help() {
+    cat << EOF
+Generate TLS test certificates
+
+Usage: $0 [OPTIONS] [NAME|IP ...]
+
+Creates a local CA and a server and client certificate signed by it. The
+server certificate is valid for localhost, 127.0.0.1 and ::1, plus any host
+names or IP addresses given as arguments (e.g. the EC2 public DNS name).
+
+Options:
+    -d, --dir DIR           Output directory (default: ./certs)
+    --days DAYS             Validity in days (default: 365)
+    --force                 Overwrite existing certificates
+    -h, --help              Show this help message
+
+Examples:
+    $0                                      # Certificates for localhost
+    $0 ec2-3-91-1-1.compute-1.amazonaws.com 3.91.1.1
+
+Files written:
+    ca.pem                  CA certificate (pass to --ca / MOCK_TLS_CA)
+    ca-key.pem              CA private key
+    server.pem              Server certificate (MOCK_TLS_CERT, nginx ssl_certificate)
+    server-key.pem          Server private key (MOCK_TLS_KEY, nginx ssl_certificate_key)
+    client.pem              Client certificate (--cert)
+    client-key.pem          Client private key (--key)
+
+Environment Variables:
+    CERT_DIR                Output directory (default: ./certs)
+    CERT_DAYS               Validity in days (default: 365)
+EOF
+}
+
+FORCE=false
+
+# Parse command line arguments
+while [[ $# -gt 0 ]]; do
+    case $1 in
+        -d|--dir)
+            CERT_DIR="$2"
+            shift 2
+            ;;
+        --days)
+            CERT_DAYS="$2"
+            shift 2
+            ;;
+        --force)
+            FORCE=true
+            shift
+            ;;
+        -h|--help)
+            show_help
+            exit 0
+            ;;
+        -*)
+            error "Unknown option: $1"
+            ;;
+        *)
+            if [[ $1 =~ ^[0-9.]+$ || $1 == *:* ]]; then
+                SERVER_IPS="$SERVER_IPS $1"
+            else
+                SERVER_NAMES="$SERVER_NAMES $1"
+            fi
+            shift
+            ;;
+    esac
+done
+
+command -v openssl >/dev/null 2>&1 || error "openssl is required"
+
+if [[ -f "$CERT_DIR/server.pem" && $FORCE != true ]]; then
+    warn "Certificates already exist in $CERT_DIR (use --force to regenerate)"
+    exit 0
+fi
+
+mkdir -p "$CERT_DIR"
+TMP_DIR=$(mktemp -d)
+trap 'rm -rf "$TMP_DIR"' EXIT
+
+# Subject alternative names for the server certificate
+SAN=""
+for name in $SERVER_NAMES; do
+    SAN="${SAN:+$SAN,}DNS:$name"
+done
+for ip in $SERVER_IPS; do
+    SAN="${SAN:+$SAN,}IP:$ip"
+done
+
+log "Generating CA..."
+openssl req -x509 -newkey rsa:2048 -nodes -sha256 -days "$CERT_DAYS" \
+    -subj "/CN=Chrome Debugger Test CA" \
+    -keyout "$CERT_DIR/ca-key.pem" -out "$CERT_DIR/ca.pem" 2>/dev/null
+
+log "Generating server certificate for $SAN..."
+openssl req -newkey rsa:2048 -nodes -sha256 \
+    -subj "/CN=$(echo $SERVER_NAMES | awk '{print $NF}')" \
+    -keyout "$CERT_DIR/server-key.pem" -out "$TMP_DIR/server.csr" 2>/dev/null
+cat > "$TMP_DIR/server.ext" << EOF
+basicConstraints=CA:FALSE
+keyUsage=digitalSignature,keyEncipherment
+extendedKeyUsage=serverAuth
+subjectAltName=$SAN
+EOF
+openssl x509 -req -sha256 -days "$CERT_DAYS" -in "$TMP_DIR/server.csr" \
+    -CA "$CERT_DIR/ca.pem" -CAkey "$CERT_DIR/ca-key.pem" -CAcreateserial -CAserial "$TMP_DIR/ca.srl" \
+    -extfile "$TMP_DIR/server.ext" -out "$CERT_DIR/server.pem" 2>/dev/null
+
+log "Generating client certificate..."
+openssl req -newkey rsa:2048 -nodes -sha256 \
+    -subj "/CN=chrome-debugger-client" \
+    -keyout "$CERT_DIR/client-key.pem" -out "$TMP_DIR/client.csr" 2>/dev/null
+cat > "$TMP_DIR/client.ext" << EOF
+basicConstraints=CA:FALSE
+keyUsage=digitalSignature,keyEncipherment
+extendedKeyUsage=clientAuth
+EOF
+openssl x509 -req -sha256 -days "$CERT_DAYS" -in "$TMP_DIR/client.csr" \
+    -CA "$CERT_DIR/ca.pem" -CAkey "$CERT_DIR/ca-key.pem" -CAserial "$TMP_DIR/ca.srl" \
+    -extfile "$TMP_DIR/client.ext" -out "$CERT_DIR/client.pem" 2>/dev/null
+
+chmod 600 "$CERT_DIR"/*-key.pem
+
+log "Certificates written to $CERT_DIR"
+log "Start the mock with: MOCK_TLS=true node mock-chrome-debugger.js"
+log "Test with: node test-connection.js --secure --ca $CERT_DIR/ca.pem"
@@ -96,6 +96,8 @@ fi
 log "Installing nginx configuration..."
 cp nginx.conf /etc/nginx/nginx.conf
 cp chrome-debugger.conf /etc/nginx/sites-available/chrome-debugger.conf
+mkdir -p /etc/nginx/snippets
+cp chrome-debugger-auth.conf /etc/nginx/snippets/chrome-debugger-auth.conf
 
 # Enable the site
 ln -sf /etc/nginx/sites-available/chrome-debugger.conf /etc/nginx/sites-enabled/chrome-debugger.conf
@@ -5,56 +5,1378 @@
  * 
  * This simulates Chrome's remote debugging protocol endpoints
  * for testing the nginx reverse proxy functionality.
+ *
+ * Runtime.evaluate runs client code in a `vm` context. The sandbox is built
+ * from objects created inside that context, so scripts cannot reach
+ * `process` through host objects, but `vm` is not a security boundary: like
+ * Chrome's own debugging port, the mock must never be reachable by clients
+ * you would not give a shell on this host.
  * 
  * Author: Terragon Labs
  */
 
 const http = require('http');
+const https = require('https');
+const path = require('path');
 const WebSocket = require('ws');
 const url = require('url');
+const crypto = require('crypto');
+const vm = require('vm');
+const fs = require('fs');
+const browserProtocol = require('devtools-protocol/json/browser_protocol.json');
+const jsProtocol = require('devtools-protocol/json/js_protocol.json');
+const AuthVerifier = require('./auth-gateway');
 
-const PORT = process.env.PORT || 9222;
+// PORT takes a single port, a list and/or ranges: "9222", "9222,9333", "48100-48110"
+const PORT = process.env.PORT || '9222';
 const HOST = process.env.HOST || '127.0.0.1';
 const PROXY_PORT = process.env.PROXY_PORT || 9223;
 
-// Mock Chrome debugger data
-const mockTargets = [
-    {
-        description: "",
-        devtoolsFrontendUrl: `/devtools/inspector.html?ws=${HOST}:${PROXY_PORT}/devtools/page/mock-page-1`,
+const BROWSER_ID = process.env.BROWSER_ID || 'mock-browser';
+
+// Build advertised WebSocket URLs from the Host and X-Forwarded-* request
+// headers instead of HOST/PROXY_PORT, to check what the proxy passes through
+const URLS_FROM_HEADERS = process.env.MOCK_URLS_FROM_HEADERS === 'true';
+
+// Older clients still open tabs with GET /json/new; modern Chrome only accepts PUT
+const ALLOW_GET_NEW = process.env.MOCK_ALLOW_GET_NEW === 'true';
+
+const PAGE_PATH_PREFIX = '/devtools/page/';
+const BROWSER_PATH_PREFIX = '/devtools/browser/';
+
+// Inline scripts and Runtime.evaluate expressions are cut off after this long
+const SCRIPT_TIMEOUT_MS = 1000;
+// Longest Runtime.evaluate with awaitPromise waits for the promise to settle
+const AWAIT_PROMISE_TIMEOUT_MS = 10000;
+
+// Delay between a navigation being committed and its lifecycle events
+const PAGE_EVENT_DELAY_MS = 20;
+
+// Area captured by Page.captureScreenshot when no clip is given
+const SCREENSHOT_VIEWPORT = { width: 800, height: 600 };
+
+// Serve a recording made by cdp-recorder.js instead of the simulated browser
+const REPLAY_FILE = process.env.MOCK_REPLAY || null;
+
+// Bytes written per chunk when trickling a slow-loris response
+const SLOW_LORIS_CHUNK_BYTES = 16;
+
+function envNumber(name, fallback) {
+    return process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+}
+
+// Largest incoming WebSocket message; bigger ones close the socket with 1009.
+// Chrome's DevTools server buffers up to 100MB.
+const MAX_MESSAGE_BYTES = envNumber('MOCK_MAX_MESSAGE_BYTES', 100 * 1024 * 1024);
+
+// Largest request header block the HTTP server accepts (431 beyond it). Set
+// well above nginx's large_client_header_buffers, so a stress test through
+// the proxy finds nginx's limit rather than the mock's.
+const MAX_HEADER_BYTES = envNumber('MOCK_MAX_HEADER_BYTES', 256 * 1024);
+
+// Longest a command may take to answer before it gets a -32000 error instead.
+// Replies leave in arrival order, so without this one stuck command would hold
+// back every reply behind it. Longer than AWAIT_PROMISE_TIMEOUT_MS.
+const REPLY_TIMEOUT_MS = envNumber('MOCK_REPLY_TIMEOUT_MS', 15000);
+
+// Serve HTTPS/WSS, as a TLS-terminating proxy would. MOCK_TLS=true uses the
+// certificates from ./generate-certs.sh; MOCK_TLS_CERT/MOCK_TLS_KEY point at
+// others. With MOCK_TLS_CA set, clients must present a certificate signed by it.
+const TLS_CERT_DIR = path.join(__dirname, 'certs');
+const TLS_CERT = process.env.MOCK_TLS_CERT || (process.env.MOCK_TLS === 'true' ? path.join(TLS_CERT_DIR, 'server.pem') : null);
+const TLS_KEY = process.env.MOCK_TLS_KEY || (TLS_CERT ? path.join(TLS_CERT_DIR, 'server-key.pem') : null);
+const TLS_CA = process.env.MOCK_TLS_CA || null;
+const HTTP_SCHEME = TLS_CERT ? 'https' : 'http';
+const WS_SCHEME = TLS_CERT ? 'wss' : 'ws';
+
+// Require a bearer token or signed URL like the auth gateway does in front
+// of the proxy: MOCK_AUTH_TOKENS ("name:token,..."), MOCK_AUTH_TOKENS_FILE
+// and/or MOCK_AUTH_SECRET. /health and /__control stay open.
+const AUTH_ENV_PREFIX = 'MOCK_AUTH';
+
+// Chrome closes the connection on binary frames; set to decode them as text instead
+const ACCEPT_BINARY = process.env.MOCK_ACCEPT_BINARY === 'true';
+
+// Fault injection, configured from the environment at startup and changed at
+// runtime through the /__control API
+const DEFAULT_FAULTS = {
+    latencyMs: envNumber('MOCK_LATENCY_MS', 0),                   // Delay before every HTTP response and WebSocket frame
+    dropRate: envNumber('MOCK_DROP_RATE', 0),                     // Probability (0-1) of silently dropping an outgoing frame
+    resetAfterMessages: envNumber('MOCK_RESET_AFTER_MESSAGES', 0),// Destroy a socket without a close frame after N messages (0 = never)
+    jsonErrorStatus: envNumber('MOCK_JSON_ERROR_STATUS', 0),      // Status returned by /json* instead of the real response (e.g. 500, 502)
+    jsonErrorRate: envNumber('MOCK_JSON_ERROR_RATE', 1),          // Probability (0-1) that a /json* request gets jsonErrorStatus
+    slowLorisMs: envNumber('MOCK_SLOW_LORIS_MS', 0),              // Trickle /json* response bodies over this many milliseconds
+    stallUpgradeMs: envNumber('MOCK_STALL_UPGRADE_MS', 0),        // Hold WebSocket upgrades this long before answering (-1 = forever)
+    idleTimeoutMs: envNumber('MOCK_IDLE_TIMEOUT_MS', 0)           // Drop sockets without a close frame after this long with no frames either way, like proxy_read_timeout (0 = never)
+};
+
+// Ping every WebSocket client this often and drop those that have not
+// answered the previous ping (0 = no keepalive pings)
+const PING_INTERVAL_MS = envNumber('MOCK_PING_INTERVAL_MS', 0);
+
+// How often idle sockets are looked for
+const IDLE_CHECK_INTERVAL_MS = 250;
+
+let nextContextId = 1;
+let nextExceptionId = 1;
+
+/**
+ * A protocol-level failure, reported to the client as a JSON-RPC error
+ */
+class ProtocolError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.code = code;
+        this.data = data;
+    }
+
+    toJSON() {
+        return this.data === undefined
+            ? { code: this.code, message: this.message }
+            : { code: this.code, message: this.message, data: this.data };
+    }
+}
+
+function randomId() {
+    return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+/**
+ * Parse the PORT setting into a sorted list of unique ports
+ */
+function parsePorts(spec) {
+    const ports = new Set();
+    String(spec).split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+        const [start, end = start] = part.split('-').map(Number);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || end < start) {
+            throw new Error(`Invalid port or range: ${part}`);
+        }
+        for (let port = start; port <= end; port++) {
+            ports.add(port);
+        }
+    });
+    return [...ports].sort((a, b) => a - b);
+}
+
+/**
+ * Create an isolated mock browser for one debugging port: its own targets,
+ * browser id, version info, endpoint clients and fault settings
+ */
+function createBrowser(port, { id, advertisedPort }) {
+    const browser = {
+        port,
+        id,
+        advertisedPort,
+        // Live targets, most recently created or activated first (same order as Chrome's /json/list)
+        targets: [],
+        // Clients connected to the browser endpoint
+        connections: new Set(),
+        faults: { ...DEFAULT_FAULTS },
+        server: null,
+        wss: null,
+        listening: false,
+        listenError: null,
+        version: {
+            "Browser": "HeadlessChrome/91.0.4472.77",
+            "Protocol-Version": "1.3",
+            "User-Agent": "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/91.0.4472.77 Safari/537.36",
+            "V8-Version": "9.1.269.36",
+            "WebKit-Version": "537.36 (@cfede9db1d154de0468cb0538479f34c0755a0f4)"
+        }
+    };
+
+    // Mock Chrome debugger data
+    createTarget(browser, {
+        id: "mock-page-2",
+        title: "Another Mock Page",
+        url: "data:text/html,<h1>Test</h1>"
+    });
+    createTarget(browser, {
         id: "mock-page-1",
         title: "Mock Test Page",
-        type: "page",
-        url: "about:blank",
-        webSocketDebuggerUrl: `ws://${HOST}:${PROXY_PORT}/devtools/page/mock-page-1`
-    },
-    {
-        description: "",
-        devtoolsFrontendUrl: `/devtools/inspector.html?ws=${HOST}:${PROXY_PORT}/devtools/page/mock-page-2`,
-        id: "mock-page-2", 
-        title: "Another Mock Page",
-        type: "page",
-        url: "data:text/html,<h1>Test</h1>",
-        webSocketDebuggerUrl: `ws://${HOST}:${PROXY_PORT}/devtools/page/mock-page-2`
-    }
-];
-
-const mockVersion = {
-    "Browser": "HeadlessChrome/91.0.4472.77",
-    "Protocol-Version": "1.3",
-    "User-Agent": "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/91.0.4472.77 Safari/537.36",
-    "V8-Version": "9.1.269.36",
-    "WebKit-Version": "537.36 (@cfede9db1d154de0468cb0538479f34c0755a0f4)",
-    "webSocketDebuggerUrl": `ws://${HOST}:${PROXY_PORT}/devtools/browser/mock-browser`
+        url: "about:blank"
+    });
+
+    return browser;
+}
+
+/**
+ * Create a target and register it with the browser
+ */
+function createTarget(browser, { id, title, url }) {
+    const target = {
+        id: id || `mock-page-${crypto.randomBytes(8).toString('hex')}`,
+        type: 'page',
+        browser,
+        sessions: new Set()
+    };
+    if (!loadDocument(target, url || 'about:blank')) {
+        loadDocument(target, 'about:blank');
+    }
+    if (title) {
+        target.title = title;
+    }
+    browser.targets.unshift(target);
+    notifyBrowsers('targetCreated', target);
+    return target;
+}
+
+function findTarget(browser, id) {
+    return browser.targets.find(t => t.id === id);
+}
+
+/**
+ * Move a target to the front of the list, like Chrome does when a tab is focused
+ */
+function activateTarget(target) {
+    const { targets } = target.browser;
+    targets.splice(targets.indexOf(target), 1);
+    targets.unshift(target);
+}
+
+/**
+ * Remove a target and detach every client attached to it
+ */
+function closeTarget(target) {
+    const { targets } = target.browser;
+    targets.splice(targets.indexOf(target), 1);
+    target.sessions.forEach((session) => {
+        session.send({
+            method: 'Inspector.detached',
+            params: { reason: 'target_closed' }
+        });
+        session.detach();
+    });
+    notifyBrowsers('targetDestroyed', target);
+}
+
+/**
+ * Attach a client to a target. `send` delivers a protocol message to the
+ * client and `detach` disconnects it.
+ */
+function attachSession(target, send, detach) {
+    const session = {
+        target,
+        enabledDomains: new Set(),
+        send,
+        detach
+    };
+    target.sessions.add(session);
+    return session;
+}
+
+function detachSession(session) {
+    session.target.sessions.delete(session);
+}
+
+/**
+ * Deliver an event to every session on the target that enabled its domain
+ */
+function emitEvent(target, method, params) {
+    const domain = method.split('.')[0];
+    target.sessions.forEach((session) => {
+        if (session.enabledDomains.has(domain)) {
+            session.send({ method, params });
+        }
+    });
+}
+
+// Message envelope
+//
+// Chrome answers malformed frames with JSON-RPC errors before looking at the
+// method: invalid JSON gets -32700 without an id, and envelope problems get
+// -32600 with the id when one could be read.
+
+const ENVELOPE_KEYS = new Set(['id', 'method', 'sessionId', 'params']);
+
+/**
+ * Parse a frame into a command, or return the error response Chrome would send
+ */
+function parseEnvelope(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        return { response: { error: { code: -32700, message: 'Message must be a valid JSON' } } };
+    }
+
+    const invalid = (text, id) => ({
+        response: id === undefined
+            ? { error: { code: -32600, message: text } }
+            : { id, error: { code: -32600, message: text } }
+    });
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return invalid('Message must be an object');
+    }
+    if (!Number.isInteger(message.id)) {
+        return invalid("Message must have integer 'id' property");
+    }
+    if (typeof message.method !== 'string') {
+        return invalid("Message must have string 'method' property", message.id);
+    }
+    if (message.sessionId !== undefined && typeof message.sessionId !== 'string') {
+        return invalid("Message may have string 'sessionId' property", message.id);
+    }
+    if (Object.keys(message).some(key => !ENVELOPE_KEYS.has(key))) {
+        return invalid("Message has property other than 'id', 'method', 'sessionId', 'params'", message.id);
+    }
+    return { message };
+}
+
+// Protocol schema
+//
+// The protocol definition comes from the devtools-protocol package, pinned in
+// package.json. It is served from /json/protocol the way Chrome merges its
+// browser and JavaScript protocols, and every incoming command is checked
+// against it before it reaches the simulation.
+
+const PROTOCOL = {
+    version: browserProtocol.version,
+    domains: [...browserProtocol.domains, ...jsProtocol.domains]
 };
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
+// Domains the browser endpoint answers; anything else "wasn't found" there
+const BROWSER_DOMAINS = new Set(['Browser', 'Target', 'SystemInfo', 'Storage', 'Tracing', 'IO', 'Memory', 'Security', 'Tethering']);
+
+const protocolCommands = new Map();
+const protocolTypes = new Map();
+PROTOCOL.domains.forEach((domain) => {
+    (domain.commands || []).forEach(command => protocolCommands.set(`${domain.domain}.${command.name}`, { domain: domain.domain, command }));
+    (domain.types || []).forEach(type => protocolTypes.set(`${domain.domain}.${type.id}`, type));
+});
+
+let protocolJson = null;
+
+function resolveRef(ref, domain) {
+    const name = ref.includes('.') ? ref : `${domain}.${ref}`;
+    return { type: protocolTypes.get(name), domain: name.split('.')[0] };
+}
+
+/**
+ * Check a value against a protocol type, returning a description of the
+ * first problem or null if it is valid
+ */
+function validateValue(value, spec, domain, path) {
+    if (spec.$ref) {
+        const resolved = resolveRef(spec.$ref, domain);
+        return resolved.type ? validateValue(value, resolved.type, resolved.domain, path) : null;
+    }
+
+    switch (spec.type) {
+        case 'string':
+            return typeof value === 'string' ? null : `${path}: string value expected`;
+        case 'integer':
+            return Number.isInteger(value) ? null : `${path}: integer value expected`;
+        case 'number':
+            return typeof value === 'number' ? null : `${path}: double value expected`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path}: boolean value expected`;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return `${path}: array expected`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const problem = validateValue(value[i], spec.items || {}, domain, `${path}[${i}]`);
+                if (problem) {
+                    return problem;
+                }
+            }
+            return null;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return `${path}: object expected`;
+            }
+            return spec.properties ? validateProperties(value, spec.properties, domain, `${path}.`) : null;
+        default:
+            return null;
+    }
+}
+
+function validateProperties(object, properties, domain, prefix) {
+    for (const property of properties) {
+        const path = `${prefix}${property.name}`;
+        if (object[property.name] === undefined) {
+            if (!property.optional) {
+                return `${path}: mandatory field missing`;
+            }
+            continue;
+        }
+        const problem = validateValue(object[property.name], property, domain, path);
+        if (problem) {
+            return problem;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reject commands the protocol does not define or whose params do not match
+ * the schema, with the error codes Chrome uses
+ */
+function validateCommand(message) {
+    const entry = protocolCommands.get(message.method);
+    if (!entry) {
+        throw new ProtocolError(-32601, `'${message.method}' wasn't found`);
+    }
+
+    const params = message.params === undefined ? {} : message.params;
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new ProtocolError(-32602, 'Invalid parameters', 'Failed to deserialize params - BINDINGS: object expected');
+    }
+    const problem = validateProperties(params, entry.command.parameters || [], entry.domain, '');
+    if (problem) {
+        throw new ProtocolError(-32602, 'Invalid parameters', `Failed to deserialize params.${problem.replace(': ', ' - BINDINGS: ')}`);
+    }
+}
+
+/**
+ * Placeholder value of a protocol type, used for commands the simulation
+ * accepts but does not model
+ */
+function defaultValue(spec, domain, depth) {
+    if (depth > 8) {
+        return null;
+    }
+    if (spec.$ref) {
+        const resolved = resolveRef(spec.$ref, domain);
+        return resolved.type ? defaultValue(resolved.type, resolved.domain, depth + 1) : null;
+    }
+    if (spec.enum) {
+        return spec.enum[0];
+    }
+
+    switch (spec.type) {
+        case 'string':
+            return '';
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'boolean':
+            return false;
+        case 'array':
+            return [];
+        case 'object':
+            return spec.properties ? defaultObject(spec.properties, domain, depth + 1) : {};
+        default:
+            return null;
+    }
+}
+
+function defaultObject(properties, domain, depth) {
+    const result = {};
+    properties.filter(p => !p.optional).forEach((property) => {
+        result[property.name] = defaultValue(property, domain, depth);
+    });
+    return result;
+}
+
+/**
+ * Result for a valid command the simulation does not model: every mandatory
+ * return value filled with a placeholder
+ */
+function defaultResult(method) {
+    const { domain, command } = protocolCommands.get(method);
+    return defaultObject(command.returns || [], domain, 0);
+}
+
+// Simulated page model
+//
+// Each target holds a small document: its URL, title and a vm context with the
+// globals defined by the page's inline scripts. The mock never touches the
+// network, so only about:blank and data: URLs can be loaded.
+
+/**
+ * Decode a data: URL into its MIME type and body
+ */
+function parseDataUrl(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    if (!dataUrl.startsWith('data:') || comma === -1) {
+        return null;
+    }
+
+    const meta = dataUrl.slice('data:'.length, comma).split(';');
+    const payload = dataUrl.slice(comma + 1);
+    let body;
+    try {
+        body = decodeURIComponent(payload);
+    } catch (error) {
+        body = payload;
+    }
+    if (meta.includes('base64')) {
+        body = Buffer.from(body, 'base64').toString('utf8');
+    }
+    return { mimeType: meta[0] || 'text/plain', body };
+}
+
+/**
+ * Extract the title and inline scripts of the document at a URL, or null if
+ * the URL cannot be loaded offline
+ */
+function parseDocument(pageUrl) {
+    if (pageUrl === 'about:blank') {
+        return { mimeType: 'text/html', title: '', scripts: [] };
+    }
+
+    const data = parseDataUrl(pageUrl);
+    if (!data) {
+        return null;
+    }
+    if (data.mimeType !== 'text/html') {
+        return { mimeType: data.mimeType, title: '', scripts: [] };
+    }
+
+    const titleMatch = data.body.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const scriptPattern = /<script(\s[^>]*)?>([\s\S]*?)<\/script>/gi;
+    const scripts = [];
+    let match;
+    while ((match = scriptPattern.exec(data.body)) !== null) {
+        if (!/\bsrc\s*=/i.test(match[1] || '')) {
+            scripts.push(match[2]);
+        }
+    }
+
+    return {
+        mimeType: 'text/html',
+        title: titleMatch ? titleMatch[1].trim() : '',
+        scripts
+    };
+}
+
+/**
+ * Replace the target's document with the one at `pageUrl` and run its inline
+ * scripts in a fresh sandbox. Returns false if the URL cannot be loaded.
+ */
+function loadDocument(target, pageUrl) {
+    const doc = parseDocument(pageUrl);
+    if (!doc) {
+        return false;
+    }
+
+    // No host object may enter the context: any of them (even a function
+    // or a plain object's prototype) leads back to the host's Function and
+    // from there to `process`. The globals are created by code running
+    // inside it, on a sandbox with no prototype.
+    const context = vm.createContext(Object.create(null));
+    vm.runInContext(`
+        var window = globalThis, self = globalThis;
+        var document = { title: ${JSON.stringify(doc.title)}, URL: ${JSON.stringify(pageUrl)} };
+        var location = { href: ${JSON.stringify(pageUrl)} };
+        var console = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+    `, context);
+
+    doc.scripts.forEach((source) => {
+        try {
+            vm.runInContext(source, context, { timeout: SCRIPT_TIMEOUT_MS });
+        } catch (error) {
+            console.log(`${new Date().toISOString()} - Page script error in ${target.id}: ${error.message}`);
+        }
+    });
+
+    let title = '';
+    try {
+        // Read inside the context too, in case a script made it a getter
+        title = vm.runInContext('String(document.title)', context, { timeout: SCRIPT_TIMEOUT_MS });
+    } catch (error) {
+        // A page that broke its own document keeps its URL as the title
+    }
+
+    target.url = pageUrl;
+    target.title = title || pageUrl;
+    target.mimeType = doc.mimeType;
+    target.loaderId = randomId();
+    target.contextId = nextContextId++;
+    target.context = context;
+    return true;
+}
+
+function describeExecutionContext(target) {
+    return {
+        id: target.contextId,
+        origin: target.url.startsWith('data:') ? '://' : '',
+        name: '',
+        auxData: { isDefault: true, type: 'default', frameId: target.id }
+    };
+}
+
+/**
+ * Navigate a target, firing the lifecycle events Chrome sends for a document load
+ */
+function navigateTarget(target, pageUrl) {
+    if (!loadDocument(target, pageUrl)) {
+        return {
+            frameId: target.id,
+            loaderId: randomId(),
+            errorText: 'net::ERR_INTERNET_DISCONNECTED'
+        };
+    }
+
+    const { loaderId } = target;
+    setTimeout(() => {
+        // A newer navigation supersedes this one
+        if (target.loaderId !== loaderId) {
+            return;
+        }
+        const timestamp = Date.now() / 1000;
+        emitEvent(target, 'Page.frameStartedLoading', { frameId: target.id });
+        emitEvent(target, 'Runtime.executionContextsCleared', {});
+        emitEvent(target, 'Page.frameNavigated', {
+            frame: {
+                id: target.id,
+                loaderId,
+                url: target.url,
+                securityOrigin: describeExecutionContext(target).origin,
+                mimeType: target.mimeType
+            },
+            type: 'Navigation'
+        });
+        emitEvent(target, 'Runtime.executionContextCreated', { context: describeExecutionContext(target) });
+        emitEvent(target, 'Page.domContentEventFired', { timestamp });
+        emitEvent(target, 'Page.loadEventFired', { timestamp });
+        emitEvent(target, 'Page.frameStoppedLoading', { frameId: target.id });
+        notifyBrowsers('targetInfoChanged', target);
+    }, PAGE_EVENT_DELAY_MS);
+
+    return { frameId: target.id, loaderId };
+}
+
+/**
+ * Convert a sandbox value into a CDP Runtime.RemoteObject
+ */
+function toRemoteObject(value, returnByValue) {
+    if (value === null) {
+        return { type: 'object', subtype: 'null', value: null };
+    }
+
+    const type = typeof value;
+    switch (type) {
+        case 'undefined':
+            return { type };
+        case 'string':
+        case 'boolean':
+            return { type, value };
+        case 'number':
+            if (!Number.isFinite(value) || Object.is(value, -0)) {
+                const unserializableValue = Object.is(value, -0) ? '-0' : String(value);
+                return { type, unserializableValue, description: unserializableValue };
+            }
+            return { type, value, description: String(value) };
+        case 'bigint':
+            return { type, unserializableValue: `${value}n`, description: `${value}n` };
+        case 'symbol':
+            return { type, description: value.toString() };
+        case 'function':
+            return { type, className: 'Function', description: Function.prototype.toString.call(value) };
+        default:
+            if (returnByValue) {
+                try {
+                    return { type, value: JSON.parse(JSON.stringify(value)) };
+                } catch (error) {
+                    return { type, value: {} };
+                }
+            }
+            if (Array.isArray(value)) {
+                return { type, subtype: 'array', className: 'Array', description: `Array(${value.length})` };
+            }
+            if (typeof value.stack === 'string') {
+                return { type, subtype: 'error', className: value.name || 'Error', description: `${value.name}: ${value.message}` };
+            }
+            const className = (value.constructor && value.constructor.name) || 'Object';
+            return { type, className, description: className };
+    }
+}
+
+/**
+ * Runtime.evaluate against the target's sandbox, reporting thrown values the
+ * way Chrome does (exceptionDetails plus the exception as the result)
+ */
+async function evaluateInTarget(target, params) {
+    try {
+        let value = vm.runInContext(String(params.expression), target.context, { timeout: SCRIPT_TIMEOUT_MS });
+        if (params.awaitPromise && value && typeof value.then === 'function') {
+            // A promise that never settles would otherwise hold the reply,
+            // and every reply queued behind it, forever
+            let timer;
+            value = await Promise.race([
+                value,
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new ProtocolError(-32000, `Promise was not settled within ${AWAIT_PROMISE_TIMEOUT_MS}ms`)), AWAIT_PROMISE_TIMEOUT_MS);
+                })
+            ]).finally(() => clearTimeout(timer));
+        }
+        return { result: toRemoteObject(value, params.returnByValue) };
+    } catch (error) {
+        if (error instanceof ProtocolError) {
+            throw error;
+        }
+        const exception = toRemoteObject(error, false);
+        return {
+            result: exception,
+            exceptionDetails: {
+                exceptionId: nextExceptionId++,
+                text: 'Uncaught',
+                lineNumber: 0,
+                columnNumber: 0,
+                exception
+            }
+        };
+    }
+}
+
+/**
+ * Page.captureScreenshot: there is nothing to render, so the image is
+ * uncompressed RGBA filler for the clip (or viewport) at the given scale.
+ * The reply size follows the requested area, which makes screenshot-sized
+ * frames easy to produce.
+ */
+function captureScreenshot(params) {
+    const clip = params.clip || { ...SCREENSHOT_VIEWPORT, scale: 1 };
+    const bytes = Math.round(clip.width * clip.scale) * Math.round(clip.height * clip.scale) * 4;
+    if (!(bytes > 0) || bytes * 4 / 3 > MAX_MESSAGE_BYTES) {
+        throw new ProtocolError(-32000, 'Unable to capture screenshot');
+    }
+    return { data: Buffer.alloc(bytes, 0x7f).toString('base64') };
+}
+
+/**
+ * Handle a protocol command sent to a page session and return its result
+ */
+async function handlePageCommand(session, message) {
+    const { target } = session;
+    const params = message.params || {};
+
+    switch (message.method) {
+        case 'Runtime.enable':
+            session.enabledDomains.add('Runtime');
+            session.send({
+                method: 'Runtime.executionContextCreated',
+                params: { context: describeExecutionContext(target) }
+            });
+            return {};
+
+        case 'Runtime.evaluate':
+            return evaluateInTarget(target, params);
+
+        case 'Page.enable':
+            session.enabledDomains.add('Page');
+            return {};
+
+        case 'Page.navigate':
+            return navigateTarget(target, params.url);
+
+        case 'Page.reload':
+            navigateTarget(target, target.url);
+            return {};
+
+        case 'Page.captureScreenshot':
+            return captureScreenshot(params);
+
+        case 'Runtime.disable':
+        case 'Page.disable':
+            session.enabledDomains.delete(message.method.split('.')[0]);
+            return {};
+
+        default:
+            return defaultResult(message.method);
+    }
+}
+
+/**
+ * Public /json representation of a target
+ */
+function describeTarget(target, endpoint) {
+    return {
+        description: "",
+        devtoolsFrontendUrl: `/devtools/inspector.html?${endpoint.scheme}=${endpoint.address}${PAGE_PATH_PREFIX}${target.id}`,
+        id: target.id,
+        title: target.title,
+        type: target.type,
+        url: target.url,
+        webSocketDebuggerUrl: `${endpoint.scheme}://${endpoint.address}${PAGE_PATH_PREFIX}${target.id}`
+    };
+}
+
+function describeVersion(browser, endpoint) {
+    return {
+        ...browser.version,
+        webSocketDebuggerUrl: `${endpoint.scheme}://${endpoint.address}${BROWSER_PATH_PREFIX}${browser.id}`
+    };
+}
+
+/**
+ * First value of a request header that a proxy may have sent as a
+ * comma-separated list (one entry per hop)
+ */
+function forwardedHeader(req, name) {
+    const value = req.headers[name];
+    return value ? value.split(',')[0].trim() : '';
+}
+
+/**
+ * Where clients should open WebSocket connections, as { scheme, address }.
+ *
+ * By default this is HOST and the advertised proxy port. With
+ * MOCK_URLS_FROM_HEADERS=true it is taken from the request the way a client
+ * behind the proxy sees it: X-Forwarded-Host (or Host), X-Forwarded-Port and
+ * X-Forwarded-Proto, using wss when the proxy terminated TLS. The default
+ * URLs, and requests made without a proxy, use wss when the mock serves TLS.
+ */
+function advertisedEndpoint(browser, req) {
+    if (!URLS_FROM_HEADERS) {
+        return { scheme: WS_SCHEME, address: `${HOST}:${browser.advertisedPort}` };
+    }
+
+    // Without X-Forwarded-Proto the client talked to us directly
+    const proto = forwardedHeader(req, 'x-forwarded-proto').toLowerCase();
+    const secure = proto ? proto === 'https' || proto === 'wss' : Boolean(req.socket.encrypted);
+    const authority = forwardedHeader(req, 'x-forwarded-host') || req.headers.host || `${HOST}:${browser.port}`;
+    const match = authority.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/) || [null, authority];
+    const port = forwardedHeader(req, 'x-forwarded-port') || match[2];
+    const defaultPort = secure ? '443' : '80';
+    return {
+        scheme: secure ? 'wss' : 'ws',
+        address: port && port !== defaultPort ? `${match[1]}:${port}` : match[1]
+    };
+}
+
+/**
+ * Read the URL for /json/new, which Chrome takes as the raw query string
+ */
+function newTargetUrl(parsedUrl) {
+    if (parsedUrl.query.url) {
+        return parsedUrl.query.url;
+    }
+    const raw = (parsedUrl.search || '').slice(1);
+    try {
+        return decodeURIComponent(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(text);
+}
+
+// Browser endpoint and Target domain
+//
+// Clients on /devtools/browser/<id> drive the browser with Target.* commands
+// and talk to pages over sessions multiplexed on the same socket. Flattened
+// sessions tag messages with `sessionId`; legacy sessions wrap them in
+// Target.sendMessageToTarget / Target.receivedMessageFromTarget.
+
+function describeTargetInfo(target) {
+    return {
+        targetId: target.id,
+        type: target.type,
+        title: target.title,
+        url: target.url,
+        attached: target.sessions.size > 0,
+        canAccessOpener: false,
+        browserContextId: target.browser.id
+    };
+}
+
+/**
+ * Register a client of the browser endpoint
+ */
+function openBrowserConnection(browser, send) {
+    const connection = {
+        browser,
+        send,
+        discoverTargets: false,
+        autoAttach: null,
+        sessions: new Map()
+    };
+    browser.connections.add(connection);
+    return connection;
+}
+
+function closeBrowserConnection(connection) {
+    connection.sessions.forEach(detachSession);
+    connection.browser.connections.delete(connection);
+}
+
+/**
+ * Broadcast Target.targetCreated/targetDestroyed/targetInfoChanged and
+ * auto-attach new targets for clients that asked for it
+ */
+function notifyBrowsers(event, target) {
+    target.browser.connections.forEach((connection) => {
+        if (connection.discoverTargets) {
+            connection.send({
+                method: `Target.${event}`,
+                params: event === 'targetDestroyed' ? { targetId: target.id } : { targetInfo: describeTargetInfo(target) }
+            });
+        }
+        if (event === 'targetCreated' && connection.autoAttach) {
+            attachBrowserSession(connection, target, connection.autoAttach.flatten);
+        }
+    });
+}
+
+/**
+ * Attach a browser client to a page target and return the new session id
+ */
+function attachBrowserSession(connection, target, flatten) {
+    const sessionId = randomId();
+    const send = flatten
+        ? (message) => connection.send({ ...message, sessionId })
+        : (message) => connection.send({
+            method: 'Target.receivedMessageFromTarget',
+            params: { sessionId, message: JSON.stringify(message), targetId: target.id }
+        });
+
+    const session = attachSession(target, send, () => {
+        detachSession(session);
+        connection.sessions.delete(sessionId);
+        connection.send({
+            method: 'Target.detachedFromTarget',
+            params: { sessionId, targetId: target.id }
+        });
+    });
+    connection.sessions.set(sessionId, session);
+
+    connection.send({
+        method: 'Target.attachedToTarget',
+        params: { sessionId, targetInfo: describeTargetInfo(target), waitingForDebugger: false }
+    });
+    return sessionId;
+}
+
+function requireTarget(browser, targetId) {
+    const target = findTarget(browser, targetId);
+    if (!target) {
+        throw new ProtocolError(-32602, 'No target with given id found');
+    }
+    return target;
+}
+
+function requireSession(connection, sessionId) {
+    const session = connection.sessions.get(sessionId);
+    if (!session) {
+        throw new ProtocolError(-32001, 'Session with given id not found.');
+    }
+    return session;
+}
+
+/**
+ * Handle a protocol command sent to the browser endpoint and return its result
+ */
+async function handleBrowserCommand(connection, message) {
+    if (message.sessionId) {
+        return handlePageCommand(requireSession(connection, message.sessionId), message);
+    }
+
+    const { browser } = connection;
+    const { targets, version } = browser;
+    const params = message.params || {};
+
+    switch (message.method) {
+        case 'Browser.getVersion':
+            return {
+                protocolVersion: version['Protocol-Version'],
+                product: version.Browser,
+                revision: version['WebKit-Version'],
+                userAgent: version['User-Agent'],
+                jsVersion: version['V8-Version']
+            };
+
+        case 'Target.getTargets':
+            return { targetInfos: targets.map(describeTargetInfo) };
+
+        case 'Target.getTargetInfo':
+            if (!params.targetId) {
+                return {
+                    targetInfo: {
+                        targetId: browser.id,
+                        type: 'browser',
+                        title: '',
+                        url: '',
+                        attached: true,
+                        canAccessOpener: false
+                    }
+                };
+            }
+            return { targetInfo: describeTargetInfo(requireTarget(browser, params.targetId)) };
+
+        case 'Target.setDiscoverTargets':
+            connection.discoverTargets = !!params.discover;
+            if (connection.discoverTargets) {
+                targets.forEach((target) => connection.send({
+                    method: 'Target.targetCreated',
+                    params: { targetInfo: describeTargetInfo(target) }
+                }));
+            }
+            return {};
+
+        case 'Target.setAutoAttach':
+            connection.autoAttach = params.autoAttach ? { flatten: !!params.flatten } : null;
+            if (connection.autoAttach) {
+                targets.forEach((target) => {
+                    const attached = [...connection.sessions.values()].some(s => s.target === target);
+                    if (!attached) {
+                        attachBrowserSession(connection, target, connection.autoAttach.flatten);
+                    }
+                });
+            }
+            return {};
+
+        case 'Target.createTarget':
+            return { targetId: createTarget(browser, { url: params.url }).id };
+
+        case 'Target.activateTarget':
+            activateTarget(requireTarget(browser, params.targetId));
+            return {};
+
+        case 'Target.closeTarget':
+            closeTarget(requireTarget(browser, params.targetId));
+            return { success: true };
+
+        case 'Target.attachToTarget':
+            return { sessionId: attachBrowserSession(connection, requireTarget(browser, params.targetId), !!params.flatten) };
+
+        case 'Target.detachFromTarget':
+            requireSession(connection, params.sessionId).detach();
+            return {};
+
+        case 'Target.sendMessageToTarget': {
+            const session = requireSession(connection, params.sessionId);
+            const { message: inner, response } = parseEnvelope(params.message);
+            if (response) {
+                session.send(response);
+                return {};
+            }
+            Promise.resolve()
+                .then(() => {
+                    validateCommand(inner);
+                    return handlePageCommand(session, inner);
+                })
+                .then(result => session.send({ id: inner.id, result }))
+                .catch(error => session.send({
+                    id: inner.id,
+                    error: error instanceof ProtocolError ? error.toJSON() : { code: -32603, message: error.message }
+                }));
+            return {};
+        }
+
+        default:
+            if (!BROWSER_DOMAINS.has(message.method.split('.')[0])) {
+                throw new ProtocolError(-32601, `'${message.method}' wasn't found`);
+            }
+            return defaultResult(message.method);
+    }
+}
+
+// Replay
+//
+// A recording is indexed into HTTP responses keyed by "METHOD path" and, per
+// WebSocket path, a list of exchanges: a client command, the browser's
+// response, and the events the browser sent around it. Commands are answered
+// from the first unused exchange with the same method and params, falling
+// back to one with the same method; once every candidate has been used the
+// last one is served again.
+
+/**
+ * Serialize a value with sorted object keys so equal params compare equal
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Load and index a JSON-lines recording
+ */
+function loadRecording(file) {
+    const recording = { http: new Map(), ws: new Map() };
+    const connections = new Map();
+
+    fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).forEach((line, index) => {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${file}:${index + 1}: ${error.message}`);
+        }
+
+        if (entry.type === 'http') {
+            const key = `${entry.method} ${entry.path}`;
+            if (!recording.http.has(key)) {
+                recording.http.set(key, { entries: [], next: 0 });
+            }
+            recording.http.get(key).entries.push(entry);
+        } else if (entry.type === 'ws-open') {
+            if (!recording.ws.has(entry.path)) {
+                recording.ws.set(entry.path, []);
+            }
+            connections.set(entry.connection, { path: entry.path, exchanges: new Map(), last: null });
+        } else if (entry.type === 'ws-frame') {
+            const connection = connections.get(entry.connection);
+            const frame = entry.data;
+            if (!connection || !frame || typeof frame !== 'object') {
+                return;
+            }
+            if (entry.from === 'client') {
+                const exchange = { request: frame, response: null, before: [], after: [], used: false };
+                connection.exchanges.set(frame.id, exchange);
+                connection.last = exchange;
+                recording.ws.get(connection.path).push(exchange);
+            } else if (frame.id !== undefined) {
+                const exchange = connection.exchanges.get(frame.id);
+                if (exchange) {
+                    exchange.response = frame;
+                }
+            } else if (connection.last) {
+                (connection.last.response ? connection.last.after : connection.last.before).push(frame);
+            }
+        }
+    });
+
+    return recording;
+}
+
+const recording = REPLAY_FILE ? loadRecording(REPLAY_FILE) : null;
+
+/**
+ * Point recorded WebSocket URLs at this mock instead of the recorded host
+ */
+function rewriteRecordedUrls(body, endpoint) {
+    return body
+        .replace(/wss?:\/\/[^/"]+\/devtools\//g, `${endpoint.scheme}://${endpoint.address}/devtools/`)
+        .replace(/([?&])wss?=[^/"&]+\/devtools\//g, `$1${endpoint.scheme}=${endpoint.address}/devtools/`);
+}
+
+/**
+ * Answer a /json* request from the recording
+ */
+function replayHttp(browser, req, res) {
+    const responses = recording.http.get(`${req.method} ${req.url}`);
+    if (!responses) {
+        sendText(res, 404, `No recorded response for ${req.method} ${req.url}`);
+        return;
+    }
+
+    const entry = responses.entries[Math.min(responses.next, responses.entries.length - 1)];
+    responses.next++;
+    res.writeHead(entry.status, { 'Content-Type': entry.contentType });
+    res.end(rewriteRecordedUrls(entry.body, advertisedEndpoint(browser, req)));
+}
+
+/**
+ * Answer a command from the recording, sending the recorded events around the
+ * response through `send`
+ */
+async function replayCommand(pathname, message, send) {
+    const exchanges = (recording.ws.get(pathname) || []).filter(e => e.response && e.request.method === message.method);
+    const params = canonicalJson(message.params || {});
+    const exact = exchanges.filter(e => canonicalJson(e.request.params || {}) === params);
+    const candidates = exact.length > 0 ? exact : exchanges;
+    const exchange = candidates.find(e => !e.used) || candidates[candidates.length - 1];
+
+    if (!exchange) {
+        throw new ProtocolError(-32000, `No recorded response for ${message.method}`);
+    }
+
+    exchange.used = true;
+    exchange.before.forEach(send);
+    setTimeout(() => exchange.after.forEach(send), 0);
+
+    if (exchange.response.error) {
+        throw new ProtocolError(exchange.response.error.code, exchange.response.error.message, exchange.response.error.data);
+    }
+    return exchange.response.result;
+}
+
+// Fault injection
+
+function withLatency(browser, callback) {
+    if (browser.faults.latencyMs > 0) {
+        setTimeout(callback, browser.faults.latencyMs);
+    } else {
+        callback();
+    }
+}
+
+/**
+ * Send a protocol message through the configured latency and drop rate
+ */
+function sendWithFaults(browser, ws, message) {
+    if (browser.faults.dropRate > 0 && Math.random() < browser.faults.dropRate) {
+        console.log(`${new Date().toISOString()} - Fault: dropped frame ${message.id !== undefined ? `id=${message.id}` : message.method}`);
+        return;
+    }
+    withLatency(browser, () => {
+        ws.lastActivity = Date.now();
+        ws.send(JSON.stringify(message));
+    });
+}
+
+/**
+ * Make res.end() write the body a few bytes at a time over `durationMs`
+ */
+function trickleResponse(res, durationMs) {
+    const end = res.end.bind(res);
+    res.end = (body) => {
+        const buffer = Buffer.from(body || '');
+        const chunkCount = Math.max(1, Math.ceil(buffer.length / SLOW_LORIS_CHUNK_BYTES));
+        let offset = 0;
+        const timer = setInterval(() => {
+            res.write(buffer.slice(offset, offset + SLOW_LORIS_CHUNK_BYTES));
+            offset += SLOW_LORIS_CHUNK_BYTES;
+            if (offset >= buffer.length) {
+                clearInterval(timer);
+                end();
+            }
+        }, durationMs / chunkCount);
+        res.on('close', () => clearInterval(timer));
+        return res;
+    };
+}
+
+function readJsonBody(req, callback) {
+    let body = '';
+    req.on('data', (chunk) => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            callback(null, body ? JSON.parse(body) : {});
+        } catch (error) {
+            callback(error);
+        }
+    });
+}
+
+/**
+ * What is wrong with a set of fault settings, one message per bad value.
+ * Statuses must be ones Node can send, rates probabilities, and durations
+ * and counts not negative (stallUpgradeMs may be -1, for forever).
+ */
+function faultErrors(settings) {
+    return Object.keys(settings).map((name) => {
+        const value = settings[name];
+        if (!(name in DEFAULT_FAULTS)) {
+            return `unknown setting ${name}`;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `${name} must be a number`;
+        }
+        if (name === 'jsonErrorStatus') {
+            return value === 0 || (Number.isInteger(value) && value >= 100 && value <= 599)
+                ? null
+                : `${name} must be 0 (off) or a status from 100 to 599`;
+        }
+        if (name.endsWith('Rate')) {
+            return value >= 0 && value <= 1 ? null : `${name} must be between 0 and 1`;
+        }
+        if (name === 'stallUpgradeMs' && value === -1) {
+            return null;
+        }
+        return value >= 0 ? null : `${name} must not be negative`;
+    }).filter(Boolean);
+}
+
+/**
+ * /__control API:
+ *   GET    /__control        current fault settings
+ *   POST   /__control        merge a JSON object of settings
+ *   DELETE /__control        restore the settings from startup
+ *   POST   /__control/reset  destroy every open WebSocket right now
+ */
+function handleControlRequest(browser, req, res, pathname) {
+    const { faults, wss } = browser;
+    const sendFaults = () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(faults, null, 2));
+    };
+
+    if (pathname === '/__control/reset' && req.method === 'POST') {
+        const count = wss.clients.size;
+        wss.clients.forEach(ws => ws.terminate());
+        console.log(`${new Date().toISOString()} - Fault: reset ${count} WebSocket connection(s)`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ reset: count }));
+        return;
+    }
+
+    if (pathname !== '/__control') {
+        sendText(res, 404, 'Not Found');
+        return;
+    }
+
+    switch (req.method) {
+        case 'GET':
+            sendFaults();
+            break;
+
+        case 'POST':
+        case 'PUT':
+            readJsonBody(req, (error, settings) => {
+                if (error) {
+                    sendText(res, 400, `Invalid JSON: ${error.message}`);
+                    return;
+                }
+                const problems = settings && typeof settings === 'object' && !Array.isArray(settings)
+                    ? faultErrors(settings)
+                    : ['expected a JSON object of settings'];
+                if (problems.length > 0) {
+                    sendText(res, 400, `Invalid settings: ${problems.join('; ')}`);
+                    return;
+                }
+                Object.assign(faults, settings);
+                console.log(`${new Date().toISOString()} - Fault settings updated:`, faults);
+                sendFaults();
+            });
+            break;
+
+        case 'DELETE':
+            Object.assign(faults, DEFAULT_FAULTS);
+            console.log(`${new Date().toISOString()} - Fault settings restored:`, faults);
+            sendFaults();
+            break;
+
+        default:
+            sendText(res, 405, 'Method Not Allowed');
+    }
+}
+
+// Multiple instances
+
+/**
+ * /health for a multi-instance process: the state of every port it serves,
+ * and 503 if any of them failed to start listening
+ */
+function sendAggregateHealth(res) {
+    const instances = browsers.map(browser => ({
+        port: browser.port,
+        browserId: browser.id,
+        listening: browser.listening,
+        error: browser.listenError ? browser.listenError.message : undefined,
+        targets: browser.targets.length,
+        connections: browser.wss ? browser.wss.clients.size : 0
+    }));
+    const healthy = instances.every(instance => instance.listening);
+    res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: healthy ? 'ok' : 'degraded', instances }, null, 2));
+}
+
+/**
+ * Route a request to the simulated Chrome endpoints
+ */
+function handleRequest(browser, req, res) {
     const parsedUrl = url.parse(req.url, true);
+    const endpoint = advertisedEndpoint(browser, req);
     
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
     
     if (req.method === 'OPTIONS') {
@@ -70,57 +1392,56 @@ const server = http.createServer((req, res) => {
         case '/json':
         case '/json/list':
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(mockTargets, null, 2));
+            res.end(JSON.stringify(browser.targets.map(target => describeTarget(target, endpoint)), null, 2));
             break;
             
         case '/json/version':
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(mockVersion, null, 2));
+            res.end(JSON.stringify(describeVersion(browser, endpoint), null, 2));
             break;
             
         case '/json/protocol':
-            // Return a minimal Chrome DevTools Protocol definition
+            if (!protocolJson) {
+                protocolJson = JSON.stringify(PROTOCOL, null, 2);
+            }
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                version: { major: "1", minor: "3" },
-                domains: [
-                    {
-                        domain: "Runtime",
-                        experimental: false,
-                        description: "Runtime domain exposes JavaScript runtime by means of remote evaluation and mirror objects. Evaluation results are returned as mirror object that expose object type, string representation and unique identifier that can be used for further object reference."
-                    },
-                    {
-                        domain: "Page", 
-                        experimental: false,
-                        description: "Actions and events related to the inspected page belong to the page domain."
-                    }
-                ]
-            }, null, 2));
+            res.end(protocolJson);
             break;
             
-        case '/json/new':
-            // Create a new mock target
-            const newTarget = {
-                description: "",
-                devtoolsFrontendUrl: `/devtools/inspector.html?ws=${HOST}:${PROXY_PORT}/devtools/page/mock-page-new`,
-                id: `mock-page-${Date.now()}`,
-                title: parsedUrl.query.url || "New Tab",
-                type: "page", 
-                url: parsedUrl.query.url || "about:blank",
-                webSocketDebuggerUrl: `ws://${HOST}:${PROXY_PORT}/devtools/page/mock-page-new`
-            };
-            mockTargets.push(newTarget);
+        case '/json/new': {
+            if (req.method !== 'PUT' && !(req.method === 'GET' && ALLOW_GET_NEW)) {
+                sendText(res, 405, `Using unsafe HTTP verb ${req.method} to invoke /json/new. This action supports only PUT verb.`);
+                break;
+            }
+            const newTarget = createTarget(browser, { url: newTargetUrl(parsedUrl) });
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(newTarget, null, 2));
+            res.end(JSON.stringify(describeTarget(newTarget, endpoint), null, 2));
             break;
+        }
             
         case '/health':
+            if (browsers.length > 1) {
+                sendAggregateHealth(res);
+                break;
+            }
             res.writeHead(200, { 'Content-Type': 'text/plain' });
             res.end('Mock Chrome Debugger OK\n');
             break;
             
         default:
-            if (parsedUrl.pathname.startsWith('/devtools/')) {
+            if (parsedUrl.pathname.startsWith('/json/close/') || parsedUrl.pathname.startsWith('/json/activate/')) {
+                const [, , action, targetId] = parsedUrl.pathname.split('/');
+                const target = findTarget(browser, targetId);
+                if (!target) {
+                    sendText(res, 404, `No such target id: ${targetId}`);
+                } else if (action === 'close') {
+                    closeTarget(target);
+                    sendText(res, 200, 'Target is closing');
+                } else {
+                    activateTarget(target);
+                    sendText(res, 200, 'Target activated');
+                }
+            } else if (parsedUrl.pathname.startsWith('/devtools/')) {
                 // Serve a simple DevTools frontend page
                 res.writeHead(200, { 'Content-Type': 'text/html' });
                 res.end(`
@@ -156,112 +1477,362 @@ const server = http.createServer((req, res) => {
                 res.end('Not Found');
             }
     }
-});
+}
 
-// Create WebSocket server for DevTools Protocol
-const wss = new WebSocket.Server({ 
-    server: server
-});
+/**
+ * Check a request's token or signature when MOCK_AUTH_* is set. Returns
+ * null if it may proceed, or { status, reason } to reject it.
+ */
+function checkAuth(req) {
+    if (!authVerifier) {
+        return null;
+    }
+    const result = authVerifier.verify(req.url, req.headers);
+    if (result.ok) {
+        return null;
+    }
+    console.log(`${new Date().toISOString()} - Auth: rejected ${req.method} ${url.parse(req.url).pathname}: ${result.reason}`);
+    return result;
+}
 
-wss.on('connection', (ws, req) => {
-    const pathname = url.parse(req.url).pathname;
-    console.log(`${new Date().toISOString()} - WebSocket connection: ${pathname}`);
-    
-    // Mock DevTools Protocol responses
-    ws.on('message', (data) => {
+/**
+ * Certificates for the HTTPS server, read once at startup
+ */
+function loadTlsOptions() {
+    if (!TLS_CERT) {
+        return {};
+    }
+    const read = (file, name) => {
         try {
-            const message = JSON.parse(data);
-            console.log(`${new Date().toISOString()} - WebSocket message:`, message);
-            
-            // Mock response based on method
-            let response = {
-                id: message.id,
-                result: {}
+            return fs.readFileSync(file);
+        } catch (error) {
+            throw new Error(`Cannot read TLS ${name} ${file}: ${error.message}${file.startsWith(TLS_CERT_DIR) ? ' (run ./generate-certs.sh)' : ''}`);
+        }
+    };
+    const options = { cert: read(TLS_CERT, 'certificate'), key: read(TLS_KEY, 'key') };
+    if (TLS_CA) {
+        options.ca = read(TLS_CA, 'CA');
+        options.requestCert = true;
+        options.rejectUnauthorized = true;
+    }
+    return options;
+}
+
+/**
+ * Create the HTTP and WebSocket servers for one mock browser and start listening
+ */
+function startBrowser(browser) {
+    const { faults } = browser;
+
+    // Create HTTP server, or HTTPS when TLS is configured
+    const serverOptions = { maxHeaderSize: MAX_HEADER_BYTES, ...tlsOptions };
+    const server = (TLS_CERT ? https : http).createServer(serverOptions, (req, res) => {
+        const pathname = url.parse(req.url).pathname;
+
+        if (pathname === '/__control' || pathname.startsWith('/__control/')) {
+            handleControlRequest(browser, req, res, pathname);
+            return;
+        }
+
+        const denied = pathname === '/health' ? null : checkAuth(req);
+        if (denied) {
+            res.writeHead(denied.status, {
+                'Content-Type': 'text/plain',
+                'WWW-Authenticate': `Bearer realm="chrome-debugger", error="invalid_token"`
+            });
+            res.end(`${denied.reason}\n`);
+            return;
+        }
+
+        const isJsonEndpoint = pathname === '/json' || pathname.startsWith('/json/');
+        if (isJsonEndpoint && faults.jsonErrorStatus && Math.random() < faults.jsonErrorRate) {
+            console.log(`${new Date().toISOString()} - Fault: ${faults.jsonErrorStatus} for ${req.method} ${req.url}`);
+            withLatency(browser, () => sendText(res, faults.jsonErrorStatus, `Injected fault: ${faults.jsonErrorStatus} ${http.STATUS_CODES[faults.jsonErrorStatus] || ''}\n`));
+            return;
+        }
+        if (isJsonEndpoint && faults.slowLorisMs > 0) {
+            trickleResponse(res, faults.slowLorisMs);
+        }
+
+        withLatency(browser, () => (recording && isJsonEndpoint ? replayHttp(browser, req, res) : handleRequest(browser, req, res)));
+    });
+
+    // Create WebSocket server for DevTools Protocol
+    // Upgrades are only accepted for known targets and the browser endpoint, and
+    // rejected with the same status codes Chrome uses otherwise
+    const wss = new WebSocket.Server({ 
+        server: server,
+        maxPayload: MAX_MESSAGE_BYTES,
+        verifyClient: (info, callback) => {
+            const pathname = url.parse(info.req.url).pathname;
+            const verify = () => {
+                const denied = checkAuth(info.req);
+                if (denied) {
+                    callback(false, denied.status, denied.reason);
+                } else if (recording) {
+                    callback(recording.ws.has(pathname), 404, 'Not Found');
+                } else if (pathname === `${BROWSER_PATH_PREFIX}${browser.id}`) {
+                    callback(true);
+                } else if (!pathname.startsWith(PAGE_PATH_PREFIX)) {
+                    callback(false, 404, 'Not Found');
+                } else if (!findTarget(browser, pathname.slice(PAGE_PATH_PREFIX.length))) {
+                    callback(false, 500, `No such target id: ${pathname.slice(PAGE_PATH_PREFIX.length)}`);
+                } else {
+                    callback(true);
+                }
             };
-            
-            switch (message.method) {
-                case 'Runtime.enable':
-                    response.result = {};
-                    break;
-                    
-                case 'Runtime.evaluate':
-                    if (message.params && message.params.expression === '2 + 2') {
-                        response.result = {
-                            result: { type: 'number', value: 4 }
-                        };
-                    } else if (message.params && message.params.expression === 'window.testValue') {
-                        response.result = {
-                            result: { type: 'number', value: 42 }
-                        };
-                    } else {
-                        response.result = {
-                            result: { type: 'string', value: 'Mock result' }
-                        };
-                    }
-                    break;
-                    
-                case 'Page.enable':
-                    response.result = {};
-                    // Simulate page load event after a delay
-                    setTimeout(() => {
-                        ws.send(JSON.stringify({
-                            method: 'Page.loadEventFired',
-                            params: { timestamp: Date.now() / 1000 }
-                        }));
-                    }, 100);
-                    break;
-                    
-                case 'Page.navigate':
-                    response.result = { frameId: 'mock-frame-id' };
-                    break;
-                    
-                default:
-                    response.result = { message: `Mock response for ${message.method}` };
+
+            if (faults.stallUpgradeMs < 0) {
+                console.log(`${new Date().toISOString()} - Fault: stalling upgrade for ${pathname} indefinitely`);
+            } else if (faults.stallUpgradeMs > 0) {
+                console.log(`${new Date().toISOString()} - Fault: stalling upgrade for ${pathname} by ${faults.stallUpgradeMs}ms`);
+                setTimeout(verify, faults.stallUpgradeMs);
+            } else {
+                verify();
             }
-            
-            ws.send(JSON.stringify(response));
-        } catch (error) {
-            console.error('WebSocket message error:', error);
-            ws.send(JSON.stringify({
-                id: 1,
-                error: { code: -32700, message: 'Parse error' }
-            }));
         }
     });
+
+    wss.on('connection', (ws, req) => {
+        const pathname = url.parse(req.url).pathname;
+        console.log(`${new Date().toISOString()} - WebSocket connection: ${pathname}`);
+
+        // Any frame in either direction, pings and pongs included, keeps the
+        // socket from counting as idle
+        ws.pathname = pathname;
+        ws.lastActivity = Date.now();
+        ws.awaitingPong = false;
+        ws.on('ping', () => {
+            ws.lastActivity = Date.now();
+        });
+        ws.on('pong', () => {
+            ws.lastActivity = Date.now();
+            ws.awaitingPong = false;
+        });
+
+        const send = (message) => sendWithFaults(browser, ws, message);
+        const target = pathname.startsWith(PAGE_PATH_PREFIX) ? findTarget(browser, pathname.slice(PAGE_PATH_PREFIX.length)) : null;
+        let handleCommand;
+        let cleanup;
+        if (recording) {
+            handleCommand = (message) => replayCommand(pathname, message, send);
+            cleanup = () => {};
+        } else if (target) {
+            const session = attachSession(target, send, () => ws.close(1000));
+            handleCommand = (message) => handlePageCommand(session, message);
+            cleanup = () => detachSession(session);
+        } else {
+            const connection = openBrowserConnection(browser, send);
+            handleCommand = (message) => handleBrowserCommand(connection, message);
+            cleanup = () => closeBrowserConnection(connection);
+        }
     
-    ws.on('close', () => {
-        console.log(`${new Date().toISOString()} - WebSocket connection closed`);
-    });
+        // DevTools Protocol command handling. Commands run as soon as they
+        // arrive, but replies are queued so they leave in arrival order even when
+        // an earlier command takes longer to answer.
+        let messageCount = 0;
+        let replyQueue = Promise.resolve();
+        const reply = (pending) => {
+            replyQueue = replyQueue.then(() => pending).then(send);
+        };
+    
+        ws.on('message', (data, isBinary) => {
+            ws.lastActivity = Date.now();
+            messageCount++;
+            if (faults.resetAfterMessages > 0 && messageCount >= faults.resetAfterMessages) {
+                console.log(`${new Date().toISOString()} - Fault: resetting ${pathname} after ${messageCount} message(s)`);
+                ws.terminate();
+                return;
+            }
+        
+            if (isBinary && !ACCEPT_BINARY) {
+                console.log(`${new Date().toISOString()} - Binary frame on ${pathname}, closing`);
+                ws.close(1003, 'Binary frames are not supported');
+                return;
+            }
+        
+            const { message, response: invalidResponse } = parseEnvelope(String(data));
+            if (invalidResponse) {
+                console.log(`${new Date().toISOString()} - Invalid message: ${invalidResponse.error.message}`);
+                reply(invalidResponse);
+                return;
+            }
+            console.log(`${new Date().toISOString()} - WebSocket message:`, message);
+        
+            reply(limitReply(runCommand(message), message));
+        });
+    
+        // The command's reply, or an error once REPLY_TIMEOUT_MS has passed.
+        // A reply that is ready later is dropped.
+        function limitReply(pending, message) {
+            let timer;
+            const timeout = new Promise((resolve) => {
+                timer = setTimeout(() => {
+                    console.log(`${new Date().toISOString()} - No reply to ${message.method} (id ${message.id}) within ${REPLY_TIMEOUT_MS}ms`);
+                    const response = { id: message.id, error: { code: -32000, message: `No reply within ${REPLY_TIMEOUT_MS}ms` } };
+                    if (message.sessionId) {
+                        response.sessionId = message.sessionId;
+                    }
+                    resolve(response);
+                }, REPLY_TIMEOUT_MS);
+            });
+            return Promise.race([pending, timeout]).finally(() => clearTimeout(timer));
+        }
+
+        async function runCommand(message) {
+            const response = { id: message.id };
+            try {
+                if (!recording) {
+                    validateCommand(message);
+                }
+                response.result = await handleCommand(message);
+            } catch (error) {
+                if (error instanceof ProtocolError) {
+                    response.error = error.toJSON();
+                } else {
+                    console.error(`WebSocket message error (${message.method}):`, error);
+                    response.error = { code: -32603, message: 'Internal error' };
+                }
+            }
+            if (message.sessionId) {
+                response.sessionId = message.sessionId;
+            }
+            return response;
+        }
     
-    ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
+        ws.on('close', () => {
+            cleanup();
+            console.log(`${new Date().toISOString()} - WebSocket connection closed`);
+        });
+    
+        ws.on('error', (error) => {
+            console.error('WebSocket error:', error);
+        });
     });
-});
 
-// Start server
-server.listen(PORT, HOST, () => {
-    console.log(`Mock Chrome Remote Debugger running at http://${HOST}:${PORT}`);
-    console.log(`Available endpoints:`);
-    console.log(`  http://${HOST}:${PORT}/json - List targets`);
-    console.log(`  http://${HOST}:${PORT}/json/version - Version info`);
-    console.log(`  http://${HOST}:${PORT}/health - Health check`);
-    console.log(`WebSocket endpoints available at ws://${HOST}:${PORT}/devtools/`);
-    console.log('\nPress Ctrl+C to stop');
-});
+    // Keepalive pings, and the idle timeout fault
+    const timers = [setInterval(() => {
+        if (!(faults.idleTimeoutMs > 0)) {
+            return;
+        }
+        wss.clients.forEach((ws) => {
+            const idle = Date.now() - ws.lastActivity;
+            if (idle >= faults.idleTimeoutMs) {
+                console.log(`${new Date().toISOString()} - Fault: dropping ${ws.pathname} after ${idle}ms idle`);
+                ws.terminate();
+            }
+        });
+    }, IDLE_CHECK_INTERVAL_MS)];
+    if (PING_INTERVAL_MS > 0) {
+        timers.push(setInterval(() => {
+            wss.clients.forEach((ws) => {
+                if (ws.awaitingPong) {
+                    console.log(`${new Date().toISOString()} - No pong from ${ws.pathname} within ${PING_INTERVAL_MS}ms, dropping it`);
+                    ws.terminate();
+                    return;
+                }
+                ws.awaitingPong = true;
+                ws.lastActivity = Date.now();
+                ws.ping();
+            });
+        }, PING_INTERVAL_MS));
+    }
+    server.on('close', () => timers.forEach(clearInterval));
+
+    browser.server = server;
+    browser.wss = wss;
+
+    // The WebSocket server re-emits listen errors; they are handled below
+    wss.on('error', () => {});
+    server.on('error', (error) => {
+        browser.listenError = error;
+        console.error(`Port ${browser.port}: ${error.message}`);
+        if (browsers.length === 1) {
+            process.exit(1);
+        }
+    });
+
+    server.listen(browser.port, HOST, () => {
+        browser.listening = true;
+        if (browsers.length > 1) {
+            console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port} - browser ${browser.id}, advertised as ${URLS_FROM_HEADERS ? 'request headers' : `port ${browser.advertisedPort}`}`);
+            return;
+        }
+        console.log(`Mock Chrome Remote Debugger running at ${HTTP_SCHEME}://${HOST}:${browser.port}`);
+        console.log(`Available endpoints:`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/json - List targets`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/json/version - Version info`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/json/new?<url> - Open a target (PUT)`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/json/activate/<id> - Activate a target`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/json/close/<id> - Close a target`);
+        console.log(`  ${HTTP_SCHEME}://${HOST}:${browser.port}/health - Health check`);
+        console.log(`WebSocket endpoints available at ${WS_SCHEME}://${HOST}:${browser.port}/devtools/`);
+        if (authVerifier) {
+            console.log(`Requiring a bearer token (${authVerifier.tokens.length} configured)${authVerifier.secret ? ' or a signed URL' : ''}`);
+        }
+        if (TLS_CA) {
+            console.log(`Requiring client certificates signed by ${TLS_CA}`);
+        }
+        if (URLS_FROM_HEADERS) {
+            console.log('Advertising WebSocket URLs from the Host and X-Forwarded-* request headers');
+        }
+        if (recording) {
+            console.log(`Replaying ${REPLAY_FILE}: ${recording.http.size} HTTP request(s), ${recording.ws.size} WebSocket path(s)`);
+        }
+        console.log('\nPress Ctrl+C to stop');
+    });
+}
+
+// Start servers
+let ports;
+let tlsOptions = {};
+let authVerifier = null;
+try {
+    ports = parsePorts(PORT);
+    tlsOptions = loadTlsOptions();
+    authVerifier = AuthVerifier.fromEnv(AUTH_ENV_PREFIX);
+    const problems = faultErrors(DEFAULT_FAULTS);
+    if (problems.length > 0) {
+        throw new Error(`Invalid fault settings in the environment: ${problems.join('; ')}`);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// A single instance keeps the advertised PROXY_PORT; several instances
+// advertise their own port (nginx proxies the 48100-49000 range same-port)
+// unless PROXY_PORT_OFFSET shifts them
+const PROXY_PORT_OFFSET = envNumber('PROXY_PORT_OFFSET', 0);
+const browsers = ports.map(port => (ports.length === 1
+    ? createBrowser(port, { id: BROWSER_ID, advertisedPort: PROXY_PORT })
+    : createBrowser(port, { id: `${BROWSER_ID}-${port}`, advertisedPort: port + PROXY_PORT_OFFSET })));
+
+if (browsers.length > 1) {
+    console.log(`Mock Chrome Remote Debugger running ${browsers.length} isolated browsers:`);
+}
+browsers.forEach(startBrowser);
 
 // Graceful shutdown
+function shutdown() {
+    let open = browsers.length;
+    browsers.forEach((browser) => {
+        browser.wss.clients.forEach(ws => ws.terminate());
+        browser.server.close(() => {
+            if (--open === 0) {
+                console.log('Server closed');
+                process.exit(0);
+            }
+        });
+    });
+}
+
 process.on('SIGINT', () => {
     console.log('\nShutting down mock Chrome debugger...');
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
+    shutdown();
 });
 
 process.on('SIGTERM', () => {
     console.log('\nReceived SIGTERM, shutting down...');
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-});
\ No newline at end of file
+    shutdown();
+});
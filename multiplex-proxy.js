@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+/**
+ * Multiplexing Chrome Debugger Proxy
+ *
+ * A Node alternative to the nginx setup: one public port in front of any
+ * number of local Chrome instances, each reached under its own name:
+ *
+ *   /browser/<name>/json*        -> http://<upstream>/json*
+ *   /browser/<name>/devtools/*   -> http://<upstream>/devtools/* (and WebSockets)
+ *
+ * webSocketDebuggerUrl and devtoolsFrontendUrl in /json responses are
+ * rewritten to point back through the proxy, so clients can connect to the
+ * URLs exactly as advertised.
+ *
+ * Browsers come from a YAML or JSON file (BROWSERS_FILE, reloaded on SIGHUP),
+ * from BROWSERS ("name=host:port,..."), or are registered at runtime through
+ * the /browsers API, which only answers loopback clients unless
+ * REGISTRY_TOKEN is set.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const url = require('url');
+const yaml = require('js-yaml');
+const WebSocket = require('ws');
+const { MAX_PAYLOAD_BYTES, isLoopback, sendJson, sendText, rejectUpgrade, forwardedHeader, publicBase, forwardRequest } = require('./proxy-utils');
+
+const PORT = process.env.PORT || 9226;
+const HOST = process.env.HOST || '0.0.0.0';
+const BROWSERS_FILE = process.env.BROWSERS_FILE || 'browsers.yaml';
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN || null;
+
+const BROWSER_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+const ROUTE_PATTERN = /^\/browser\/([^/]+)(\/.*)?$/;
+
+function checkBrowserName(name) {
+    if (!BROWSER_NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid browser name ${name}: use letters, digits, '.', '_' and '-'`);
+    }
+}
+
+/**
+ * A percent-encoded browser name from a URL, or null if it does not decode
+ */
+function decodeName(raw) {
+    try {
+        return decodeURIComponent(raw);
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseUpstream(upstream, name) {
+    const match = /^([^:\s]+|\[[^\]]+\]):(\d+)$/.exec(String(upstream || ''));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 65535) {
+        throw new Error(`Browser ${name}: upstream must be host:port, got ${upstream}`);
+    }
+    return { host: match[1].replace(/^\[|\]$/g, ''), port: Number(match[2]) };
+}
+
+/**
+ * Browsers from a file with a `browsers:` list of { name, upstream }
+ */
+function loadBrowsersFile(file) {
+    // JSON is valid YAML, so one parser covers both formats
+    const document = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    if (!Array.isArray(document.browsers)) {
+        throw new Error(`${file}: expected a browsers: list`);
+    }
+    return document.browsers.map((entry, index) => {
+        if (!entry || !entry.name) {
+            throw new Error(`${file}: browser ${index + 1} has no name`);
+        }
+        return { name: String(entry.name), upstream: entry.upstream };
+    });
+}
+
+/**
+ * Browsers from "name=host:port,name=host:port"
+ */
+function parseBrowsersSpec(spec) {
+    return String(spec || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`BROWSERS entry ${entry} must be name=host:port`);
+        }
+        return { name: entry.slice(0, separator), upstream: entry.slice(separator + 1) };
+    });
+}
+
+// Compared as digests so the comparison takes the same time whatever the input
+function sameDigest(a, b) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+class MultiplexProxy {
+    constructor({ registryToken = null } = {}) {
+        this.registryToken = registryToken;
+        // name -> { name, upstream, host, port, source, registeredAt }
+        this.browsers = new Map();
+        // name -> open WebSockets, kept across re-registration
+        this.connections = new Map();
+        this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES, perMessageDeflate: false });
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    listen(port, host, callback) {
+        this.server.listen(port, host, callback);
+        return this;
+    }
+
+    close(callback) {
+        this.wss.clients.forEach(ws => ws.close(1001));
+        this.server.close(callback);
+    }
+
+    /**
+     * Add or replace a browser. `source` tells file entries from API ones,
+     * so a config reload leaves registered browsers alone.
+     */
+    register(name, upstream, source = 'api') {
+        checkBrowserName(name);
+        const { host, port } = parseUpstream(upstream, name);
+        this.browsers.set(name, {
+            name,
+            upstream: `${host.includes(':') ? `[${host}]` : host}:${port}`,
+            host,
+            port,
+            source,
+            registeredAt: new Date().toISOString()
+        });
+        return this.browsers.get(name);
+    }
+
+    unregister(name) {
+        return this.browsers.delete(name);
+    }
+
+    /**
+     * Replace the browsers that came from `source` with a new list
+     */
+    replaceBrowsers(entries, source) {
+        // Validate everything before changing anything
+        entries.forEach((entry) => {
+            checkBrowserName(entry.name);
+            parseUpstream(entry.upstream, entry.name);
+        });
+        this.browsers.forEach((browser, name) => {
+            if (browser.source === source) {
+                this.browsers.delete(name);
+            }
+        });
+        entries.forEach(entry => this.register(entry.name, entry.upstream, source));
+    }
+
+    describeBrowsers(req) {
+        const authority = forwardedHeader(req, 'x-forwarded-host') || req.headers.host;
+        return [...this.browsers.values()].map(({ host, port, ...browser }) => ({
+            ...browser,
+            connections: this.connections.get(browser.name) || 0,
+            url: `http://${authority}/browser/${browser.name}/`
+        }));
+    }
+
+    handleRequest(req, res) {
+        const parsed = url.parse(req.url);
+        const pathname = parsed.pathname;
+
+        if (pathname === '/health') {
+            sendJson(res, 200, { status: 'ok', browsers: this.browsers.size });
+            return;
+        }
+        if (pathname === '/browsers' || pathname.startsWith('/browsers/')) {
+            this.handleRegistry(req, res, pathname);
+            return;
+        }
+
+        const route = this.route(pathname);
+        if (route.error) {
+            sendText(res, route.status, route.error);
+            return;
+        }
+        const { browser, path, prefix } = route;
+        forwardRequest(req, res, { browser, path, search: parsed.search || '', base: publicBase(req, prefix) });
+    }
+
+    /**
+     * Browser and upstream path for /browser/<name>/..., or { status, error }
+     */
+    route(pathname) {
+        const match = ROUTE_PATTERN.exec(pathname);
+        if (!match) {
+            return { status: 404, error: 'Not Found. Use /browser/<name>/json or /browser/<name>/devtools/...' };
+        }
+        const name = decodeName(match[1]);
+        if (name === null) {
+            return { status: 400, error: 'Bad Request: malformed percent-encoding in the browser name' };
+        }
+        const browser = this.browsers.get(name);
+        if (!browser) {
+            return { status: 404, error: `No browser registered as ${name}` };
+        }
+        const path = match[2] || '/';
+        if (path !== '/json' && !path.startsWith('/json/') && !path.startsWith('/devtools/')) {
+            return { status: 404, error: `Not Found: only /json* and /devtools/* are proxied for ${name}` };
+        }
+        return { browser, path, prefix: `/browser/${match[1]}` };
+    }
+
+    /**
+     * GET /browsers, PUT /browsers/<name> {"upstream": "host:port"} and
+     * DELETE /browsers/<name>
+     */
+    handleRegistry(req, res, pathname) {
+        const authorized = this.registryToken
+            ? sameDigest(req.headers.authorization || '', `Bearer ${this.registryToken}`)
+            : isLoopback(req.socket.remoteAddress);
+        if (!authorized) {
+            sendText(res, 403, this.registryToken ? 'Registry token required' : 'The registry API only answers local clients');
+            return;
+        }
+
+        const name = pathname === '/browsers' ? null : decodeName(pathname.slice('/browsers/'.length));
+        if (name === null && pathname !== '/browsers') {
+            sendText(res, 400, 'Bad Request: malformed percent-encoding in the browser name');
+            return;
+        }
+        if (!name) {
+            if (req.method !== 'GET') {
+                sendText(res, 405, 'Use GET /browsers, or PUT or DELETE /browsers/<name>');
+                return;
+            }
+            sendJson(res, 200, this.describeBrowsers(req));
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            if (!this.unregister(name)) {
+                sendText(res, 404, `No browser registered as ${name}`);
+                return;
+            }
+            console.log(`${new Date().toISOString()} - Unregistered browser ${name}`);
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method === 'GET') {
+            const browser = this.describeBrowsers(req).find(entry => entry.name === name);
+            if (browser) {
+                sendJson(res, 200, browser);
+            } else {
+                sendText(res, 404, `No browser registered as ${name}`);
+            }
+            return;
+        }
+        if (req.method !== 'PUT') {
+            sendText(res, 405, 'Use GET, PUT or DELETE');
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            let browser;
+            const existed = this.browsers.has(name);
+            try {
+                browser = this.register(name, JSON.parse(body || '{}').upstream, 'api');
+            } catch (error) {
+                sendText(res, 400, error.message);
+                return;
+            }
+            console.log(`${new Date().toISOString()} - Registered browser ${name} -> ${browser.upstream}`);
+            sendJson(res, existed ? 200 : 201, this.describeBrowsers(req).find(entry => entry.name === name));
+        });
+    }
+
+    /**
+     * Open the upstream WebSocket first, so a client asking for an unknown
+     * target gets Chrome's own status code, then relay frames both ways
+     */
+    handleUpgrade(req, socket, head) {
+        const parsed = url.parse(req.url);
+        const route = this.route(parsed.pathname);
+        if (route.error) {
+            rejectUpgrade(socket, route.status, route.error);
+            return;
+        }
+        const { browser, path } = route;
+
+        const upstream = new WebSocket(`ws://${browser.upstream}${path}${parsed.search || ''}`, {
+            perMessageDeflate: false,
+            maxPayload: MAX_PAYLOAD_BYTES
+        });
+        upstream.once('unexpected-response', (upstreamReq, upstreamRes) => {
+            rejectUpgrade(socket, upstreamRes.statusCode, `Browser ${browser.name} refused the WebSocket: ${upstreamRes.statusMessage}`);
+            upstreamReq.destroy();
+        });
+        upstream.on('error', (error) => {
+            if (!socket.destroyed && upstream.readyState !== WebSocket.OPEN) {
+                rejectUpgrade(socket, 502, `Browser ${browser.name} unavailable: ${error.message}`);
+            }
+        });
+        // A client that goes away before the upgrade completes never reaches
+        // relay(), so its upstream WebSocket is closed here
+        const abandon = () => {
+            upstream.terminate();
+        };
+        socket.once('close', abandon);
+        upstream.once('open', () => {
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                socket.off('close', abandon);
+                this.relay(ws, upstream, browser, path);
+            });
+        });
+    }
+
+    relay(ws, upstream, browser, path) {
+        const count = delta => this.connections.set(browser.name, (this.connections.get(browser.name) || 0) + delta).get(browser.name);
+        console.log(`${new Date().toISOString()} - WebSocket opened: ${browser.name}${path} (${count(1)} open)`);
+
+        ws.on('message', (data, isBinary) => {
+            if (upstream.readyState === WebSocket.OPEN) {
+                upstream.send(data, { binary: isBinary });
+            }
+        });
+        upstream.on('message', (data, isBinary) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(data, { binary: isBinary });
+            }
+        });
+
+        upstream.on('close', (code, reason) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+            }
+        });
+        ws.on('close', () => {
+            count(-1);
+            if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+                upstream.close();
+            }
+            console.log(`${new Date().toISOString()} - WebSocket closed: ${browser.name}${path}`);
+        });
+
+        upstream.on('error', (error) => {
+            console.error(`Upstream WebSocket to ${browser.name} error: ${error.message}`);
+            ws.close(1011, 'Upstream error');
+        });
+        ws.on('error', (error) => {
+            console.error(`Client WebSocket for ${browser.name} error: ${error.message}`);
+        });
+    }
+}
+
+if (require.main === module) {
+    const proxy = new MultiplexProxy({ registryToken: REGISTRY_TOKEN });
+
+    // The file is optional: without it, browsers come from BROWSERS or the API
+    const loadConfig = () => {
+        proxy.replaceBrowsers(fs.existsSync(BROWSERS_FILE) ? loadBrowsersFile(BROWSERS_FILE) : [], 'file');
+    };
+    try {
+        proxy.replaceBrowsers(parseBrowsersSpec(process.env.BROWSERS), 'env');
+        loadConfig();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    proxy.listen(PORT, HOST, () => {
+        console.log(`Multiplexing Chrome debugger proxy running at http://${HOST}:${PORT}`);
+        proxy.browsers.forEach((browser) => {
+            console.log(`  /browser/${browser.name}/ -> http://${browser.upstream} (${browser.source})`);
+        });
+        if (proxy.browsers.size === 0) {
+            console.log(`  No browsers yet: add them to ${BROWSERS_FILE} or PUT /browsers/<name>`);
+        }
+        console.log(`Registry API: /browsers (${REGISTRY_TOKEN ? 'bearer token' : 'local clients only'})`);
+        console.log('\nPress Ctrl+C to stop');
+    });
+
+    process.on('SIGHUP', () => {
+        try {
+            loadConfig();
+            console.log(`${new Date().toISOString()} - Reloaded ${BROWSERS_FILE}: ${[...proxy.browsers.keys()].join(', ') || 'no browsers'}`);
+        } catch (error) {
+            console.error(`Reload failed, keeping the current browsers: ${error.message}`);
+        }
+    });
+
+    // Graceful shutdown
+    const shutdown = () => {
+        console.log('\nShutting down multiplexing proxy...');
+        proxy.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = MultiplexProxy;
+module.exports.loadBrowsersFile = loadBrowsersFile;
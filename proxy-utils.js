@@ -0,0 +1,190 @@
+/**
+ * Helpers shared by the Node proxies in front of Chrome (cdp-proxy.js,
+ * multiplex-proxy.js, cdp-fanout.js and browser-pool.js): HTTP replies,
+ * refusing WebSocket upgrades, and forwarding /json requests with the
+ * advertised WebSocket URLs pointing back at the proxy.
+ *
+ * Author: Terragon Labs
+ */
+
+const http = require('http');
+const net = require('net');
+const { normalizeAddress } = require('./cdp-policy');
+
+// Same limit chrome-remote-interface uses for incoming messages
+const MAX_PAYLOAD_BYTES = 256 * 1024 * 1024;
+
+function isLoopback(address) {
+    const normalized = normalizeAddress(address);
+    return normalized === '::1' || (net.isIPv4(normalized) && normalized.startsWith('127.'));
+}
+
+/**
+ * Parse a CDP frame, or return null if it is not JSON
+ */
+function parseMessage(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The commands a client's frame amounts to, outermost first: the frame, then
+ * the command inside each (possibly nested) Target.sendMessageToTarget
+ */
+function unwrapCommand(message) {
+    const chain = [message];
+    let command = message;
+    while (command.method === 'Target.sendMessageToTarget' && command.params) {
+        const inner = parseMessage(command.params.message);
+        if (!inner || typeof inner.method !== 'string') {
+            break;
+        }
+        chain.push(inner);
+        command = inner;
+    }
+    return chain;
+}
+
+/**
+ * Serialize a chain from unwrapCommand with every inner command written back
+ * into its wrapper's params.message, so Chrome runs the commands as they were
+ * checked and not, say, the other of two "method" keys in the original string
+ */
+function serializeCommand(chain) {
+    let frame = JSON.stringify(chain[chain.length - 1]);
+    for (let i = chain.length - 2; i >= 0; i--) {
+        frame = JSON.stringify({ ...chain[i], params: { ...chain[i].params, message: frame } });
+    }
+    return frame;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2) + '\n');
+}
+
+function sendText(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(`${message}\n`);
+}
+
+/**
+ * Answer an upgrade request that will not become a WebSocket
+ */
+function rejectUpgrade(socket, status, reason) {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${reason}\n`);
+}
+
+function forwardedHeader(req, name) {
+    const value = req.headers[name];
+    return value ? value.split(',')[0].trim() : '';
+}
+
+/**
+ * Where clients reach a browser through the proxy, as { scheme, authority,
+ * prefix } for rewriteTargetUrls: the request's Host, or X-Forwarded-Host
+ * and X-Forwarded-Proto when a load balancer sits in front
+ */
+function publicBase(req, prefix) {
+    const proto = forwardedHeader(req, 'x-forwarded-proto').toLowerCase();
+    return {
+        scheme: proto === 'https' || proto === 'wss' ? 'wss' : 'ws',
+        authority: forwardedHeader(req, 'x-forwarded-host') || req.headers.host,
+        prefix
+    };
+}
+
+/**
+ * Point a target's URLs at the proxy. `base` is { scheme, authority, prefix },
+ * e.g. { scheme: 'ws', authority: 'ec2-host:9226', prefix: '/browser/main' }.
+ */
+function rewriteTargetUrls(document, base) {
+    if (Array.isArray(document)) {
+        return document.map(entry => rewriteTargetUrls(entry, base));
+    }
+    if (!document || typeof document !== 'object') {
+        return document;
+    }
+
+    const rewritten = { ...document };
+    if (typeof document.webSocketDebuggerUrl === 'string') {
+        const pathname = new URL(document.webSocketDebuggerUrl).pathname;
+        rewritten.webSocketDebuggerUrl = `${base.scheme}://${base.authority}${base.prefix}${pathname}`;
+    }
+    if (typeof document.devtoolsFrontendUrl === 'string') {
+        // ?ws=host:port/devtools/page/<id>, unencoded as Chrome writes it;
+        // a frontend served by Chrome itself (a relative URL) goes through us too
+        rewritten.devtoolsFrontendUrl = document.devtoolsFrontendUrl
+            .replace(/^\/devtools\//, `${base.prefix}/devtools/`)
+            .replace(/([?&])wss?=[^/&]*([^&]*)/, `$1${base.scheme}=${base.authority}${base.prefix}$2`);
+    }
+    return rewritten;
+}
+
+/**
+ * Forward an HTTP request to a browser ({ name, host, port, upstream }),
+ * rewriting the URLs in /json responses to `base`. Chrome refuses Host
+ * headers that are not an IP address or localhost, so the upstream address
+ * is sent as Host.
+ */
+function forwardRequest(req, res, { browser, path, search = '', base }) {
+    const upstreamReq = http.request({
+        host: browser.host,
+        port: browser.port,
+        method: req.method,
+        path: `${path}${search}`,
+        headers: { ...req.headers, host: browser.upstream }
+    }, (upstreamRes) => {
+        const rewrite = (path === '/json' || path.startsWith('/json/')) && path !== '/json/protocol'
+            && /json/.test(upstreamRes.headers['content-type'] || '');
+        if (!rewrite) {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+            return;
+        }
+
+        const chunks = [];
+        upstreamRes.on('data', chunk => chunks.push(chunk));
+        upstreamRes.on('end', () => {
+            let body = Buffer.concat(chunks);
+            try {
+                body = Buffer.from(JSON.stringify(rewriteTargetUrls(JSON.parse(body), base), null, 2));
+            } catch (error) {
+                // Not JSON after all; pass it on untouched
+            }
+            const headers = { ...upstreamRes.headers, 'content-length': body.length };
+            delete headers['transfer-encoding'];
+            res.writeHead(upstreamRes.statusCode, headers);
+            res.end(body);
+        });
+    });
+
+    upstreamReq.on('error', (error) => {
+        console.error(`Upstream request to ${browser.name} (${browser.upstream}) failed: ${error.message}`);
+        if (!res.headersSent) {
+            sendText(res, 502, `Browser ${browser.name} unavailable: ${error.message}`);
+        } else {
+            res.destroy();
+        }
+    });
+
+    req.pipe(upstreamReq);
+}
+
+module.exports = {
+    MAX_PAYLOAD_BYTES,
+    isLoopback,
+    parseMessage,
+    unwrapCommand,
+    serializeCommand,
+    sendJson,
+    sendText,
+    rejectUpgrade,
+    forwardedHeader,
+    publicBase,
+    rewriteTargetUrls,
+    forwardRequest
+};
@@ -0,0 +1,208 @@
+/**
+ * Reconnecting CDP client
+ *
+ * Keeps a CDP session going across nginx reloads and Chrome restarts: when
+ * the WebSocket drops it reconnects with exponential backoff, finds the same
+ * target again (by id, or by URL if Chrome came back with new ids) and
+ * re-enables the domains that were enabled before. Connections go through
+ * CDPSocket, so `secure`, `tls` and `headers` work the same as in the tester.
+ *
+ * Commands and events use the same shape as chrome-remote-interface:
+ *
+ *   const client = new ResilientClient({ host: 'localhost', port: 9223 });
+ *   client.on('reconnect', ({ attempt, downtime }) => console.log(`back after ${downtime}ms`));
+ *   await client.connect();
+ *   await client.Page.enable();
+ *   const load = client.Page.loadEventFired();
+ *   await client.Page.navigate({ url: 'about:blank' });
+ *   await load;
+ *
+ * Events emitted:
+ *   connect            first connection made ({ targetId, url })
+ *   disconnect         the WebSocket dropped; reconnection starts
+ *   reconnecting       waiting before an attempt ({ attempt, delay })
+ *   reconnect_error    an attempt failed ({ attempt, error })
+ *   reconnect          connected again ({ attempt, targetId, url, downtime })
+ *   reconnect_failed   gave up after maxAttempts ({ attempts, error })
+ *   event              every CDP event ({ method, params, sessionId })
+ *   <Domain.event>     each CDP event by name, with its params
+ *
+ * Commands in flight when the connection drops are rejected, not retried,
+ * since most CDP commands are not safe to repeat. Commands sent while
+ * reconnecting wait for the new connection.
+ *
+ * Author: Terragon Labs
+ */
+
+const EventEmitter = require('events');
+const CDPSocket = require('./cdp-socket');
+const { withDomains } = CDPSocket;
+
+const DEFAULT_OPTIONS = {
+    host: 'localhost',
+    port: 9223,
+    timeout: 10000,
+    // Target to attach to: an id, or the URL of a page. Without either the
+    // first page target is used.
+    target: null,
+    url: null,
+    // Backoff between reconnection attempts: minDelay, then multiplied by
+    // factor each time up to maxDelay
+    minDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    maxAttempts: 10,
+    // Connect with https/wss; tls holds ca, cert, key and rejectUnauthorized
+    secure: false,
+    tls: {},
+    // Extra headers for /json/list and the upgrade, e.g. Authorization
+    headers: {},
+    // Path in front of /json/list, e.g. /browser/<name> for multiplex-proxy.js
+    basePath: ''
+};
+
+class ResilientClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.client = null;
+        this.targetId = this.options.target;
+        this.targetUrl = this.options.url;
+        // Domains enabled through this client, with the params they were enabled with
+        this.enabledDomains = new Map();
+        this.closed = false;
+        this.ready = null;
+
+        // Domain objects (client.Runtime, client.Page, ...) are created on first use
+        return withDomains(this);
+    }
+
+    /**
+     * Make the first connection; fails straight away if it cannot be made
+     */
+    async connect() {
+        await this.open(true);
+        this.emit('connect', { targetId: this.targetId, url: this.targetUrl });
+        return this;
+    }
+
+    /**
+     * Send a command, waiting for a reconnection in progress to finish
+     */
+    async send(method, params = {}) {
+        if (this.closed) {
+            throw new Error('Client is closed');
+        }
+        if (!this.client) {
+            if (!this.ready) {
+                throw new Error('Client is not connected; call connect() first');
+            }
+            await this.ready;
+        }
+
+        const result = await this.client.send(method, params);
+        const [domain, command] = method.split('.');
+        if (command === 'enable') {
+            this.enabledDomains.set(domain, params);
+        } else if (command === 'disable') {
+            this.enabledDomains.delete(domain);
+        }
+        return result;
+    }
+
+    /**
+     * Close the connection for good; no reconnection is attempted
+     */
+    async close() {
+        this.closed = true;
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            await client.close();
+        }
+    }
+
+    /**
+     * Find the target, connect to it through the given host and port, and
+     * re-enable the domains enabled on the previous connection
+     */
+    async open(initial = false) {
+        const { host, port, timeout, secure, tls, headers, basePath } = this.options;
+        const targets = await CDPSocket.list({ host, port, timeout, secure, tls, headers, basePath });
+        const target = targets.find(t => this.targetId && t.id === this.targetId)
+            || targets.find(t => this.targetUrl && t.type === 'page' && t.url === this.targetUrl)
+            || (initial && !this.targetId && !this.targetUrl ? targets.find(t => t.type === 'page') : null);
+        if (!target || !target.webSocketDebuggerUrl) {
+            throw new Error(`Target ${this.targetId || this.targetUrl || '(any page)'} not found`);
+        }
+
+        // Keep the path but use our host and port, as Chrome may advertise its own
+        const wsUrl = `${secure ? 'wss' : 'ws'}://${host}:${port}${new URL(target.webSocketDebuggerUrl).pathname}`;
+        const client = await CDPSocket.connect(wsUrl, { ...tls, headers, handshakeTimeout: timeout });
+
+        try {
+            for (const [domain, params] of this.enabledDomains) {
+                await client.send(`${domain}.enable`, params);
+            }
+        } catch (error) {
+            await client.close();
+            throw error;
+        }
+
+        client.on('event', message => this.handleEvent(message));
+        client.on('disconnect', () => this.handleDisconnect(client));
+        this.client = client;
+        this.targetId = target.id;
+        this.targetUrl = target.url;
+    }
+
+    handleEvent(message) {
+        // Follow main-frame navigations so the target can be found by URL later
+        if (message.method === 'Page.frameNavigated' && !message.params.frame.parentId) {
+            this.targetUrl = message.params.frame.url;
+        }
+        this.emit('event', message);
+        this.emit(message.method, message.params, message.sessionId);
+    }
+
+    handleDisconnect(client) {
+        if (this.closed || client !== this.client) {
+            return;
+        }
+        this.client = null;
+        this.emit('disconnect');
+
+        this.ready = this.reconnect();
+        // Nothing may be waiting on it; failures are reported as events
+        this.ready.catch(() => {});
+    }
+
+    async reconnect() {
+        const { minDelay, maxDelay, factor, maxAttempts } = this.options;
+        const disconnectedAt = Date.now();
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+            this.emit('reconnecting', { attempt, delay });
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (this.closed) {
+                throw new Error('Client is closed');
+            }
+
+            try {
+                await this.open();
+                this.emit('reconnect', { attempt, targetId: this.targetId, url: this.targetUrl, downtime: Date.now() - disconnectedAt });
+                return;
+            } catch (error) {
+                lastError = error;
+                this.emit('reconnect_error', { attempt, error });
+            }
+        }
+
+        this.emit('reconnect_failed', { attempts: maxAttempts, error: lastError });
+        throw new Error(`Reconnection failed after ${maxAttempts} attempt(s): ${lastError ? lastError.message : 'unknown error'}`);
+    }
+}
+
+module.exports = ResilientClient;
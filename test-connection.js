@@ -13,54 +13,239 @@
  */
 
 const CDP = require('chrome-remote-interface');
+const WebSocket = require('ws');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
 const { program } = require('commander');
 const chalk = require('chalk');
+const yaml = require('js-yaml');
+const { REPORTERS, formatReport, formatFleetReport } = require('./test-reporters');
+const WatchMetrics = require('./watch-metrics');
+const CDPSocket = require('./cdp-socket');
+const ResilientClient = require('./resilient-client');
 
 // Default configuration
 const DEFAULT_CONFIG = {
     host: 'localhost',
     port: 9223,
     timeout: 10000,
-    verbose: false
+    verbose: false,
+    // Send console output to stderr, e.g. while a report is written to stdout
+    logToStderr: false,
+    // Suppress console output entirely (fleet checks print a summary instead)
+    quiet: false,
+    // Shown in log lines to tell endpoints apart
+    label: null,
+    // Longevity test: how long to hold the session, the gap between
+    // commands, and the WebSocket ping interval (0 = no pings), in ms
+    duration: 10 * 60 * 1000,
+    idleGap: 60 * 1000,
+    keepalive: 0,
+    // Reconnect with backoff and resume the session when the WebSocket drops
+    resilient: false,
+    // Connect over https/wss. ca, cert and key are PEM file paths; insecure
+    // skips certificate verification (self-signed certificates)
+    secure: false,
+    ca: null,
+    cert: null,
+    key: null,
+    insecure: false,
+    // Bearer token for an authenticating proxy (auth-gateway.js)
+    token: null,
+    // Browser name behind multiplex-proxy.js: requests go to /browser/<name>/
+    // and the WebSocket URLs it advertises are used as they are
+    browser: null
 };
 
+// Endpoints checked at the same time by --targets-file
+const DEFAULT_CONCURRENCY = 4;
+
+// Stress test sizes, tried smallest first until one fails. The test fails if
+// a size up to the required one fails: 8KB headers are what
+// fix-nginx-headers.md sets up, and 4MB frames cover full-page screenshots.
+const STRESS_HEADER_SIZES = [1, 2, 4, 8, 16, 32, 64, 128].map(kb => kb * 1024);
+const STRESS_FRAME_SIZES = [64 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024];
+const STRESS_REQUIRED_HEADER_BYTES = 8 * 1024;
+const STRESS_REQUIRED_FRAME_BYTES = 4 * 1024 * 1024;
+
+// bench defaults: concurrent sessions, calls per session, and the Chrome port
+// measured for comparison (without nginx in between)
+const DEFAULT_BENCH_SESSIONS = 10;
+const DEFAULT_BENCH_MESSAGES = 100;
+const DEFAULT_DIRECT_ENDPOINT = '127.0.0.1:9222';
+
+// --watch defaults: time between checks, and where /metrics is served
+const DEFAULT_WATCH_INTERVAL = '30s';
+const DEFAULT_METRICS_PORT = 9465;
+
+/**
+ * A stress test size as KB or MB
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${bytes / (1024 * 1024)}MB` : `${bytes / 1024}KB`;
+}
+
+/**
+ * min/mean/max and nearest-rank percentiles of a list of timings (ms)
+ */
+function summarizeTimings(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const round = value => Math.round(value * 100) / 100;
+    const percentile = p => sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    return {
+        count: sorted.length,
+        min: round(sorted[0]),
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: round(percentile(50)),
+        p95: round(percentile(95)),
+        p99: round(percentile(99)),
+        max: round(sorted[sorted.length - 1])
+    };
+}
+
+/**
+ * Parse a CDP frame, or return null if it is not JSON
+ */
+function parseMessage(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+}
+
 class ChromeDebuggerTester {
     constructor(config) {
         this.config = { ...DEFAULT_CONFIG, ...config };
         this.client = null;
+        this.target = null;
         this.startTime = null;
     }
 
+    /**
+     * Write a line of human-readable output
+     */
+    print(...args) {
+        if (this.config.quiet) {
+            return;
+        }
+        if (this.config.logToStderr) {
+            console.error(...args);
+        } else {
+            console.log(...args);
+        }
+    }
+
     /**
      * Log messages with colors and timestamps
      */
     log(level, message, data = null) {
         const timestamp = new Date().toISOString();
-        const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
+        const prefix = `[${timestamp}] [${level.toUpperCase()}]${this.config.label ? ` [${this.config.label}]` : ''}`;
         
         switch (level) {
             case 'info':
-                console.log(chalk.blue(prefix), message);
+                this.print(chalk.blue(prefix), message);
                 break;
             case 'success':
-                console.log(chalk.green(prefix), message);
+                this.print(chalk.green(prefix), message);
                 break;
             case 'warn':
-                console.log(chalk.yellow(prefix), message);
+                this.print(chalk.yellow(prefix), message);
                 break;
             case 'error':
-                console.log(chalk.red(prefix), message);
+                this.print(chalk.red(prefix), message);
                 break;
             case 'debug':
                 if (this.config.verbose) {
-                    console.log(chalk.gray(prefix), message);
+                    this.print(chalk.gray(prefix), message);
                 }
                 break;
         }
 
         if (data && this.config.verbose) {
-            console.log(chalk.gray('  Data:'), JSON.stringify(data, null, 2));
+            this.print(chalk.gray('  Data:'), JSON.stringify(data, null, 2));
+        }
+    }
+
+    /**
+     * TLS options for https and wss connections, read from the configured
+     * files on first use
+     */
+    tlsOptions() {
+        if (!this.config.secure) {
+            return {};
+        }
+        if (!this.tls) {
+            const read = (file, name) => {
+                try {
+                    return fs.readFileSync(file);
+                } catch (error) {
+                    throw new Error(`Cannot read ${name} ${file}: ${error.message}`);
+                }
+            };
+            this.tls = { rejectUnauthorized: !this.config.insecure };
+            if (this.config.ca) {
+                this.tls.ca = read(this.config.ca, 'CA certificate');
+            }
+            if (this.config.cert) {
+                this.tls.cert = read(this.config.cert, 'client certificate');
+                this.tls.key = read(this.config.key || this.config.cert, 'client key');
+            }
+        }
+        return this.tls;
+    }
+
+    /**
+     * Authorization header for --token, sent on HTTP requests and upgrades
+     */
+    authHeaders() {
+        return this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {};
+    }
+
+    /**
+     * TLS options and headers for a `ws` WebSocket
+     */
+    socketOptions() {
+        return { ...this.tlsOptions(), headers: this.authHeaders() };
+    }
+
+    /**
+     * Path in front of /json for --browser
+     */
+    basePath() {
+        return this.config.browser ? `/browser/${encodeURIComponent(this.config.browser)}` : '';
+    }
+
+    /**
+     * GET /json/list over http, or https with --secure
+     */
+    listTargets() {
+        return CDPSocket.list({
+            host: this.config.host,
+            port: this.config.port,
+            timeout: this.config.timeout,
+            secure: this.config.secure,
+            tls: this.tlsOptions(),
+            headers: this.authHeaders(),
+            basePath: this.basePath()
+        });
+    }
+
+    /**
+     * A target's WebSocket URL through our host and port. Chrome (or a proxy
+     * that does not rewrite it) may advertise its own address, so only the
+     * path is kept. multiplex-proxy.js rewrites the URL, so with --browser it
+     * is used as advertised.
+     */
+    webSocketUrl(target) {
+        if (this.config.browser) {
+            return target.webSocketDebuggerUrl;
         }
+        const scheme = this.config.secure ? 'wss' : 'ws';
+        return `${scheme}://${this.config.host}:${this.config.port}${new URL(target.webSocketDebuggerUrl).pathname}`;
     }
 
     /**
@@ -71,11 +256,7 @@ class ChromeDebuggerTester {
         
         try {
             // List available targets
-            const targets = await CDP.List({
-                host: this.config.host,
-                port: this.config.port,
-                timeout: this.config.timeout
-            });
+            const targets = await this.listTargets();
 
             this.log('success', `✓ Successfully connected to Chrome debugger`);
             this.log('info', `Found ${targets.length} available targets`);
@@ -105,17 +286,15 @@ class ChromeDebuggerTester {
     async testWebSocketConnection(targetId = null) {
         this.log('info', 'Testing WebSocket connection...');
         
+        // Connection methods that failed before one succeeded, in order
+        const connectionAttempts = [];
+        let target = null;
         try {
             // Get available targets if no specific target provided
-            let target = null;
             let targets = [];
             
             if (!targetId) {
-                targets = await CDP.List({
-                    host: this.config.host,
-                    port: this.config.port,
-                    timeout: this.config.timeout
-                });
+                targets = await this.listTargets();
                 
                 target = targets.find(t => t.type === 'page') || targets[0];
                 if (!target) {
@@ -123,11 +302,7 @@ class ChromeDebuggerTester {
                 }
             } else {
                 // Get the specific target to access its WebSocket URL
-                targets = await CDP.List({
-                    host: this.config.host,
-                    port: this.config.port,
-                    timeout: this.config.timeout
-                });
+                targets = await this.listTargets();
                 
                 target = targets.find(t => t.id === targetId);
                 if (!target) {
@@ -138,7 +313,38 @@ class ChromeDebuggerTester {
             this.log('info', `Connecting to target: ${target.id}`);
             this.log('debug', `Target type: ${target.type}, URL: ${target.url}`);
 
+            if (this.config.resilient) {
+                this.client = await this.connectResilient(target);
+                this.target = target;
+                this.log('success', '✓ WebSocket connection established (resilient)');
+
+                await this.client.Runtime.enable();
+                this.log('success', '✓ Runtime domain enabled');
+
+                const connectionUrl = `${this.webSocketUrl(target)} (reconnecting)`;
+                return { success: true, client: this.client, target, targetId: target.id, connectionMethod: 'resilient', connectionUrl, connectionAttempts };
+            }
+
+            // chrome-remote-interface cannot take TLS options, headers or a
+            // base path, so wss, authenticated and multiplexed connections go
+            // straight to the URL over our own socket
+            if (this.config.secure || this.config.token || this.config.browser) {
+                const connectionMethod = this.config.browser ? 'advertised' : this.config.secure ? 'tls' : 'token';
+                const connectionUrl = this.webSocketUrl(target);
+                this.log('debug', `Attempting ${connectionMethod} connection: ${connectionUrl}`);
+                this.client = await CDPSocket.connect(connectionUrl, { ...this.socketOptions(), handshakeTimeout: this.config.timeout });
+                this.target = target;
+                this.log('success', `✓ WebSocket connection established (${connectionMethod})`);
+
+                await this.client.Runtime.enable();
+                this.log('success', '✓ Runtime domain enabled');
+
+                return { success: true, client: this.client, target, targetId: target.id, connectionMethod, connectionUrl, connectionAttempts };
+            }
+
             // First attempt: Use the provided host/port parameters directly
+            let connectionMethod = 'direct';
+            let connectionUrl = `ws://${this.config.host}:${this.config.port} (target ${target.id})`;
             try {
                 this.log('debug', 'Attempting direct connection via proxy...');
                 
@@ -155,6 +361,7 @@ class ChromeDebuggerTester {
                 
             } catch (proxyError) {
                 this.log('warn', `Direct proxy connection failed: ${proxyError.message}`);
+                connectionAttempts.push({ method: connectionMethod, error: proxyError.message });
                 
                 // Second attempt: Try to manually construct the WebSocket URL
                 if (target.webSocketDebuggerUrl) {
@@ -171,6 +378,8 @@ class ChromeDebuggerTester {
                         this.log('debug', `Attempting connection with corrected URL: ${proxyWsUrl}`);
                         
                         // Use the corrected WebSocket URL directly
+                        connectionMethod = 'corrected-url';
+                        connectionUrl = proxyWsUrl;
                         this.client = await CDP({
                             target: proxyWsUrl,
                             timeout: this.config.timeout,
@@ -179,10 +388,13 @@ class ChromeDebuggerTester {
                         
                     } catch (urlError) {
                         this.log('error', `URL correction failed: ${urlError.message}`);
+                        connectionAttempts.push({ method: connectionMethod, error: urlError.message });
                         
                         // Third attempt: Try using the target ID with explicit host/port override
                         try {
                             this.log('debug', 'Attempting fallback connection with target ID override...');
+                            connectionMethod = 'target-filter';
+                            connectionUrl = `ws://${this.config.host}:${this.config.port} (target filter ${target.id})`;
                             this.client = await CDP({
                                 host: this.config.host,
                                 port: this.config.port,
@@ -192,6 +404,7 @@ class ChromeDebuggerTester {
                             });
                         } catch (fallbackError) {
                             this.log('error', `Fallback connection failed: ${fallbackError.message}`);
+                            connectionAttempts.push({ method: connectionMethod, error: fallbackError.message });
                             throw new Error(`All connection methods failed. Proxy: ${proxyError.message}, URL: ${urlError.message}, Fallback: ${fallbackError.message}`);
                         }
                     }
@@ -200,13 +413,14 @@ class ChromeDebuggerTester {
                 }
             }
 
-            this.log('success', '✓ WebSocket connection established');
+            this.target = target;
+            this.log('success', `✓ WebSocket connection established (${connectionMethod})`);
 
             // Test the connection by enabling runtime domain
             await this.client.Runtime.enable();
             this.log('success', '✓ Runtime domain enabled');
 
-            return { success: true, client: this.client, target };
+            return { success: true, client: this.client, target, targetId: target.id, connectionMethod, connectionUrl, connectionAttempts };
         } catch (error) {
             this.log('error', `✗ WebSocket connection failed: ${error.message}`);
             
@@ -228,10 +442,47 @@ class ChromeDebuggerTester {
                 }
             }
             
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, targetId: target ? target.id : undefined, connectionAttempts };
         }
     }
 
+    /**
+     * Connect to a target through a ResilientClient, which reconnects with
+     * backoff when the WebSocket drops and re-enables the domains in use
+     */
+    async connectResilient(target) {
+        const client = new ResilientClient({
+            host: this.config.host,
+            port: this.config.port,
+            timeout: this.config.timeout,
+            target: target.id,
+            url: target.url,
+            secure: this.config.secure,
+            tls: this.tlsOptions(),
+            headers: this.authHeaders(),
+            basePath: this.basePath()
+        });
+
+        client.on('disconnect', () => {
+            this.log('warn', 'WebSocket connection lost, reconnecting...');
+        });
+        client.on('reconnecting', ({ attempt, delay }) => {
+            this.log('debug', `Reconnection attempt ${attempt} in ${delay}ms`);
+        });
+        client.on('reconnect_error', ({ attempt, error }) => {
+            this.log('debug', `Reconnection attempt ${attempt} failed: ${error.message}`);
+        });
+        client.on('reconnect', ({ attempt, targetId, downtime }) => {
+            this.log('success', `✓ Reconnected to target ${targetId} after ${downtime}ms (attempt ${attempt})`);
+        });
+        client.on('reconnect_failed', ({ attempts, error }) => {
+            this.log('error', `✗ Gave up reconnecting after ${attempts} attempt(s): ${error ? error.message : 'unknown error'}`);
+        });
+
+        await client.connect();
+        return client;
+    }
+
     /**
      * Test JavaScript execution through debugger
      */
@@ -252,13 +503,13 @@ class ChromeDebuggerTester {
 
             if (result.result.value === 4) {
                 this.log('success', `✓ JavaScript execution successful: ${expression} = ${result.result.value}`);
-                return { success: true, result: result.result.value };
+                return { success: true, result: result.result.value, targetId: this.target && this.target.id };
             } else {
                 throw new Error(`Unexpected result: ${result.result.value}`);
             }
         } catch (error) {
             this.log('error', `✗ JavaScript execution failed: ${error.message}`);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, targetId: this.target && this.target.id };
         }
     }
 
@@ -278,35 +529,630 @@ class ChromeDebuggerTester {
             await this.client.Page.enable();
             this.log('debug', 'Page domain enabled');
 
-            // Navigate to a test page
-            const testUrl = 'data:text/html,<html><head><title>Chrome Debugger Test</title></head><body><h1>Test Page</h1><script>window.testValue = 42;</script></body></html>';
+            // Navigate to a test page whose inline script sets a value unique to this run
+            const expectedValue = Math.floor(Math.random() * 1000000);
+            const expectedTitle = `Chrome Debugger Test ${expectedValue}`;
+            const testUrl = `data:text/html,<html><head><title>${expectedTitle}</title></head><body><h1>Test Page</h1><script>window.testValue = ${expectedValue};</script></body></html>`;
             
-            await this.client.Page.navigate({ url: testUrl });
+            // Subscribe before navigating so a fast load event is not missed
+            const loadEvent = this.client.Page.loadEventFired();
+            const navigation = await this.client.Page.navigate({ url: testUrl });
+            if (navigation.errorText) {
+                throw new Error(`Navigation failed: ${navigation.errorText}`);
+            }
             this.log('debug', `Navigation initiated to: ${testUrl.substring(0, 50)}...`);
 
             // Wait for page load
-            await new Promise((resolve) => {
-                this.client.Page.loadEventFired(resolve);
-            });
+            await loadEvent;
 
-            // Verify navigation by checking the test value
+            // Verify the page's script ran by reading back the value it set
             const result = await this.client.Runtime.evaluate({
                 expression: 'window.testValue',
                 returnByValue: true
             });
 
-            if (result.result.value === 42) {
-                this.log('success', '✓ Page navigation and script execution successful');
-                return { success: true };
-            } else {
-                throw new Error('Navigation test failed - test value not found');
+            if (result.result.value !== expectedValue) {
+                throw new Error(`Navigation test failed - expected window.testValue ${expectedValue}, got ${result.result.value}`);
+            }
+            this.log('debug', `window.testValue round-tripped: ${result.result.value}`);
+
+            // Verify the target list reflects the new document
+            const targets = await this.listTargets();
+            const current = this.target && targets.find(t => t.id === this.target.id);
+            if (current && current.title !== expectedTitle) {
+                throw new Error(`Navigation test failed - target title is "${current.title}", expected "${expectedTitle}"`);
             }
+
+            this.log('success', '✓ Page navigation and script execution successful');
+            return { success: true, targetId: this.target && this.target.id };
         } catch (error) {
             this.log('error', `✗ Navigation test failed: ${error.message}`);
+            return { success: false, error: error.message, targetId: this.target && this.target.id };
+        }
+    }
+
+    /**
+     * Test that pipelined commands, including malformed ones, are answered
+     * in order with the ids and error codes Chrome uses
+     */
+    async testMessageOrdering() {
+        this.log('info', 'Testing reply ordering and error ids...');
+
+        try {
+            const targets = await this.listTargets();
+            const target = targets.find(t => t.type === 'page' && t.webSocketDebuggerUrl);
+            if (!target) {
+                throw new Error('No suitable target found for ordering test');
+            }
+            const wsUrl = this.webSocketUrl(target);
+
+            // Each frame is paired with the reply it must get, in send order
+            const evaluate = (id, a, b) => ({
+                frame: { id, method: 'Runtime.evaluate', params: { expression: `${a} + ${b}`, returnByValue: true } },
+                expected: { id, value: a + b }
+            });
+            const cases = [
+                evaluate(1, 1, 1),
+                { frame: '{"id": 2, "method": ', expected: { id: undefined, code: -32700 } },
+                { frame: { id: 3, method: 'Nonexistent.method' }, expected: { id: 3, code: -32601 } },
+                { frame: { id: 4, method: 'Runtime.evaluate', params: {} }, expected: { id: 4, code: -32602 } },
+                { frame: { id: 5 }, expected: { id: 5, code: -32600 } },
+                { frame: { method: 'Runtime.enable' }, expected: { id: undefined, code: -32600 } }
+            ];
+            for (let id = 6; id <= 15; id++) {
+                cases.push(evaluate(id, id, 100));
+            }
+
+            const replies = await this.exchangeFrames(wsUrl, cases.map(c => c.frame));
+
+            cases.forEach(({ expected }, index) => {
+                const reply = replies[index];
+                if (!reply) {
+                    throw new Error(`Reply ${index + 1} missing (got ${replies.length} of ${cases.length})`);
+                }
+                if (reply.id !== expected.id) {
+                    throw new Error(`Reply ${index + 1} has id ${reply.id}, expected ${expected.id === undefined ? 'no id' : expected.id}`);
+                }
+                if (expected.code !== undefined && (!reply.error || reply.error.code !== expected.code)) {
+                    throw new Error(`Reply ${index + 1} should be error ${expected.code}, got ${JSON.stringify(reply.error || reply.result)}`);
+                }
+                if (expected.value !== undefined && (!reply.result || reply.result.result.value !== expected.value)) {
+                    throw new Error(`Reply ${index + 1} should be ${expected.value}, got ${JSON.stringify(reply.error || reply.result)}`);
+                }
+            });
+
+            this.log('success', `✓ ${cases.length} pipelined commands answered in order with correct ids and errors`);
+            return { success: true, targetId: target.id };
+        } catch (error) {
+            this.log('error', `✗ Ordering test failed: ${error.message}`);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Find the largest request headers, cookies and CDP frames (in both
+     * directions) that make it through, reproducing "400 Request Header Or
+     * Cookie Too Large" and frame size limits in the proxy
+     */
+    async testStress() {
+        this.log('info', 'Testing header, cookie and frame size limits...');
+
+        try {
+            const limits = {};
+
+            // One large custom header, then many cookies adding up to the size
+            limits.header = await this.findLimit('header', STRESS_HEADER_SIZES,
+                size => this.probeHeaders({ 'X-Stress-Test': 'h'.repeat(size) }));
+            limits.cookie = await this.findLimit('cookie', STRESS_HEADER_SIZES, (size) => {
+                const cookies = [];
+                for (let length = 0, index = 0; length < size; index++) {
+                    const cookie = `stress${index}=${'c'.repeat(Math.min(200, size - length))}`;
+                    cookies.push(cookie);
+                    length += cookie.length + 2;
+                }
+                return this.probeHeaders({ Cookie: cookies.join('; ') });
+            });
+
+            const targets = await this.listTargets();
+            const target = targets.find(t => t.type === 'page' && t.webSocketDebuggerUrl);
+            if (!target) {
+                throw new Error('No suitable target found for frame size test');
+            }
+            const wsUrl = this.webSocketUrl(target);
+
+            // Client to browser: a large expression whose length comes back
+            limits.sendFrame = await this.withStressSocket(wsUrl, ws => this.findLimit('client → browser frame', STRESS_FRAME_SIZES, async (size) => {
+                const reply = await this.sendStressCommand(ws, 'Runtime.evaluate', { expression: `'${'s'.repeat(size)}'.length`, returnByValue: true });
+                return reply.result.value === size ? { ok: true } : { ok: false, error: `expected length ${size}, got ${reply.result.value}` };
+            }));
+
+            // Browser to client: a large string value in the reply
+            limits.receiveFrame = await this.withStressSocket(wsUrl, ws => this.findLimit('browser → client frame', STRESS_FRAME_SIZES, async (size) => {
+                const reply = await this.sendStressCommand(ws, 'Runtime.evaluate', { expression: `'r'.repeat(${size})`, returnByValue: true });
+                const length = typeof reply.result.value === 'string' ? reply.result.value.length : 0;
+                return length === size ? { ok: true } : { ok: false, error: `expected ${size} characters, got ${length}` };
+            }));
+
+            // A real screenshot, for the size of a typical payload
+            limits.screenshotBytes = await this.withStressSocket(wsUrl, async (ws) => {
+                try {
+                    const reply = await this.sendStressCommand(ws, 'Page.captureScreenshot', {});
+                    this.log('debug', `Page.captureScreenshot returned ${reply.data.length} bytes`);
+                    return reply.data.length;
+                } catch (error) {
+                    this.log('warn', `Screenshot size unavailable: ${error.message}`);
+                    return null;
+                }
+            });
+
+            const summary = `headers ${formatBytes(limits.header.largest)}, cookies ${formatBytes(limits.cookie.largest)}, ` +
+                `frames ${formatBytes(limits.sendFrame.largest)} sent / ${formatBytes(limits.receiveFrame.largest)} received`;
+            const problems = [
+                ['header', STRESS_REQUIRED_HEADER_BYTES],
+                ['cookie', STRESS_REQUIRED_HEADER_BYTES],
+                ['sendFrame', STRESS_REQUIRED_FRAME_BYTES],
+                ['receiveFrame', STRESS_REQUIRED_FRAME_BYTES]
+            ].filter(([name, required]) => limits[name].largest < required)
+                .map(([name, required]) => `${name} limit ${formatBytes(limits[name].largest)} is below ${formatBytes(required)} (${limits[name].error})`);
+
+            if (problems.length > 0) {
+                this.log('error', `✗ Size limits too small: ${problems.join('; ')}`);
+                return { success: false, error: problems.join('; '), limits };
+            }
+            this.log('success', `✓ Largest sizes that got through: ${summary}`);
+            return { success: true, limits };
+        } catch (error) {
+            this.log('error', `✗ Stress test failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Hold one CDP session open for `duration`, sending a command every
+     * `idleGap` (and a WebSocket ping every `keepalive`, if set), and record
+     * exactly when and how the socket closed
+     */
+    async testLongevity() {
+        const { duration, idleGap, keepalive } = this.config;
+        this.log('info', `Testing a ${duration / 1000}s session with ${idleGap / 1000}s idle gaps${keepalive > 0 ? ` and ${keepalive / 1000}s keepalive pings` : ''}...`);
+
+        try {
+            const targets = await this.listTargets();
+            const target = targets.find(t => t.type === 'page' && t.webSocketDebuggerUrl);
+            if (!target) {
+                throw new Error('No suitable target found for longevity test');
+            }
+            const wsUrl = this.webSocketUrl(target);
+            const ws = await new Promise((resolve, reject) => {
+                const socket = new WebSocket(wsUrl, { ...this.socketOptions(), perMessageDeflate: false, handshakeTimeout: this.config.timeout });
+                socket.once('open', () => resolve(socket));
+                socket.once('error', reject);
+            });
+
+            const session = await this.holdSession(ws, { duration, idleGap, keepalive });
+            const how = session.closedBy === 'dropped' ? 'dropped without a close frame' : `closed by ${session.closedBy}`;
+            const summary = `open ${Math.round(session.openFor / 1000)}s, ${how} (code ${session.closeCode})` +
+                `${session.closeReason ? ` "${session.closeReason}"` : ''} after ${Math.round(session.idleBeforeClose / 1000)}s idle`;
+
+            if (session.closedBy !== 'tester') {
+                const error = `Session cut off: ${summary}`;
+                this.log('error', `✗ ${error}`);
+                return { success: false, error, targetId: target.id, session };
+            }
+            if (session.unanswered > 0) {
+                const error = `${session.unanswered} of ${session.exchanges} command(s) got no reply (${summary})`;
+                this.log('error', `✗ ${error}`);
+                return { success: false, error, targetId: target.id, session };
+            }
+            if (session.invalidFrames > 0) {
+                const error = `${session.invalidFrames} frame(s) were not JSON (${summary})`;
+                this.log('error', `✗ ${error}`);
+                return { success: false, error, targetId: target.id, session };
+            }
+            this.log('success', `✓ Session survived: ${summary}, ${session.answered} command(s) answered`);
+            return { success: true, targetId: target.id, session };
+        } catch (error) {
+            this.log('error', `✗ Longevity test failed: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Drive an open WebSocket for the longevity test and resolve with how
+     * it ended. `closedBy` is 'tester' when we closed it at the end,
+     * 'remote' when the other end sent a close frame, and 'dropped' when the
+     * connection went away without one (code 1006), which is what nginx does
+     * when proxy_read_timeout expires. At the end, replies still in flight
+     * get up to the tester timeout to arrive before we close.
+     */
+    holdSession(ws, { duration, idleGap, keepalive }) {
+        return new Promise((resolve) => {
+            const openedAt = Date.now();
+            const stats = { exchanges: 0, answered: 0, invalidFrames: 0, pingsSent: 0, pongsReceived: 0, pingsReceived: 0 };
+            // Ids of commands sent and not answered yet
+            const outstanding = new Set();
+            let lastActivity = openedAt;
+            let closing = false;
+            let finishing = false;
+            let drainTimer = null;
+            const elapsed = () => `${Math.round((Date.now() - openedAt) / 1000)}s`;
+
+            const exchange = () => {
+                stats.exchanges++;
+                const id = stats.exchanges;
+                outstanding.add(id);
+                ws.send(JSON.stringify({ id, method: 'Runtime.evaluate', params: { expression: `${id} + 1`, returnByValue: true } }));
+                lastActivity = Date.now();
+                this.log('debug', `[${elapsed()}] Sent command ${id}`);
+            };
+
+            ws.on('message', (data) => {
+                lastActivity = Date.now();
+                const message = parseMessage(data);
+                if (!message) {
+                    stats.invalidFrames++;
+                    this.log('warn', `[${elapsed()}] Frame is not JSON: ${String(data).substring(0, 120)}`);
+                    return;
+                }
+                if (outstanding.delete(message.id)) {
+                    stats.answered++;
+                    this.log('info', `[${elapsed()}] Command ${message.id} answered`);
+                    if (finishing && outstanding.size === 0) {
+                        close();
+                    }
+                }
+            });
+            ws.on('ping', () => {
+                lastActivity = Date.now();
+                stats.pingsReceived++;
+                this.log('debug', `[${elapsed()}] Ping from server`);
+            });
+            ws.on('pong', () => {
+                lastActivity = Date.now();
+                stats.pongsReceived++;
+                this.log('debug', `[${elapsed()}] Pong received`);
+            });
+            ws.on('error', (error) => {
+                this.log('warn', `[${elapsed()}] WebSocket error: ${error.message}`);
+            });
+
+            const timers = [setInterval(exchange, idleGap)];
+            if (keepalive > 0) {
+                timers.push(setInterval(() => {
+                    stats.pingsSent++;
+                    ws.ping();
+                    lastActivity = Date.now();
+                }, keepalive));
+            }
+            const close = () => {
+                if (!closing) {
+                    closing = true;
+                    ws.close(1000, 'Longevity test complete');
+                }
+            };
+            // Stop sending, then close once every command has been answered
+            const endTimer = setTimeout(() => {
+                timers.forEach(clearInterval);
+                finishing = true;
+                if (outstanding.size === 0) {
+                    close();
+                } else {
+                    drainTimer = setTimeout(close, this.config.timeout);
+                }
+            }, duration);
+
+            ws.on('close', (code, reason) => {
+                timers.forEach(clearInterval);
+                clearTimeout(endTimer);
+                clearTimeout(drainTimer);
+                const closedAt = Date.now();
+                let closedBy = 'remote';
+                if (closing) {
+                    closedBy = 'tester';
+                } else if (code === 1006) {
+                    closedBy = 'dropped';
+                }
+                this.log(closing ? 'debug' : 'warn', `[${elapsed()}] WebSocket ${closedBy === 'dropped' ? 'dropped' : `closed by ${closedBy}`} with code ${code}`);
+                resolve({
+                    openedAt: new Date(openedAt).toISOString(),
+                    closedAt: new Date(closedAt).toISOString(),
+                    openFor: closedAt - openedAt,
+                    idleBeforeClose: closedAt - lastActivity,
+                    closedBy,
+                    closeCode: code,
+                    closeReason: String(reason),
+                    ...stats,
+                    unanswered: outstanding.size
+                });
+            });
+        });
+    }
+
+    /**
+     * Try each size in turn until `probe` fails, and return the largest size
+     * that worked (0 if none) with the first failure
+     */
+    async findLimit(name, sizes, probe) {
+        let largest = 0;
+        for (const size of sizes) {
+            let outcome;
+            try {
+                outcome = await probe(size);
+            } catch (error) {
+                outcome = { ok: false, error: error.message };
+            }
+            if (!outcome.ok) {
+                this.log('debug', `${name} ${formatBytes(size)} failed: ${outcome.error}`);
+                return { largest, failedAt: size, error: outcome.error };
+            }
+            this.log('debug', `${name} ${formatBytes(size)} OK`);
+            largest = size;
+        }
+        return { largest };
+    }
+
+    /**
+     * GET /json with extra request headers
+     */
+    probeHeaders(headers) {
+        return new Promise((resolve) => {
+            const req = (this.config.secure ? https : http).get({
+                ...this.tlsOptions(),
+                host: this.config.host,
+                port: this.config.port,
+                path: `${this.basePath()}/json`,
+                headers: { ...this.authHeaders(), ...headers },
+                timeout: this.config.timeout
+            }, (res) => {
+                let body = '';
+                res.on('data', (chunk) => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        resolve({ ok: true });
+                        return;
+                    }
+                    // nginx explains the 400 in the HTML title
+                    const title = body.match(/<title>([^<]*)<\/title>/i);
+                    resolve({ ok: false, error: `HTTP ${res.statusCode}${title ? ` ${title[1]}` : ''}` });
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`No response within ${this.config.timeout}ms`)));
+            req.on('error', error => resolve({ ok: false, error: error.message }));
+        });
+    }
+
+    /**
+     * Run `task` with a fresh WebSocket that is closed afterwards
+     */
+    async withStressSocket(wsUrl, task) {
+        const ws = await new Promise((resolve, reject) => {
+            const socket = new WebSocket(wsUrl, { ...this.socketOptions(), perMessageDeflate: false, handshakeTimeout: this.config.timeout });
+            socket.once('open', () => resolve(socket));
+            socket.once('error', reject);
+        });
+        // Later errors surface as failed commands
+        ws.on('error', () => {});
+        try {
+            return await task(ws);
+        } finally {
+            ws.terminate();
+        }
+    }
+
+    /**
+     * Send one command and wait for its reply, failing if the socket closes
+     * first (as it does when a frame is over the size limit)
+     */
+    sendStressCommand(ws, method, params) {
+        this.stressId = (this.stressId || 0) + 1;
+        const id = this.stressId;
+        return new Promise((resolve, reject) => {
+            if (ws.readyState !== WebSocket.OPEN) {
+                reject(new Error('WebSocket is closed'));
+                return;
+            }
+            const cleanup = () => {
+                clearTimeout(timer);
+                ws.off('message', onMessage);
+                ws.off('close', onClose);
+            };
+            const onMessage = (data) => {
+                const message = parseMessage(data);
+                if (!message) {
+                    cleanup();
+                    reject(new Error(`${method} got a reply that is not JSON: ${String(data).substring(0, 120)}`));
+                    return;
+                }
+                if (message.id !== id) {
+                    return;
+                }
+                cleanup();
+                if (message.error) {
+                    reject(new Error(`${method} failed: ${message.error.message}`));
+                } else {
+                    resolve(message.result);
+                }
+            };
+            const onClose = (code, reason) => {
+                cleanup();
+                reject(new Error(`WebSocket closed with code ${code}${reason.length ? ` (${reason})` : ''}`));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`No reply to ${method} within ${this.config.timeout}ms`));
+            }, this.config.timeout);
+
+            ws.on('message', onMessage);
+            ws.on('close', onClose);
+            ws.send(JSON.stringify({ id, method, params }));
+        });
+    }
+
+    /**
+     * Send raw frames back to back on a fresh WebSocket and collect the replies
+     * (messages with an id or an error), ignoring events
+     */
+    exchangeFrames(wsUrl, frames) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(wsUrl, { ...this.socketOptions(), perMessageDeflate: false });
+            const replies = [];
+            const timer = setTimeout(() => {
+                ws.terminate();
+                resolve(replies);
+            }, this.config.timeout);
+
+            ws.on('open', () => {
+                frames.forEach(frame => ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame)));
+            });
+            ws.on('message', (data) => {
+                const message = parseMessage(data);
+                if (!message) {
+                    clearTimeout(timer);
+                    ws.terminate();
+                    reject(new Error(`Reply ${replies.length + 1} is not JSON: ${String(data).substring(0, 120)}`));
+                    return;
+                }
+                if (message.id === undefined && !message.error) {
+                    return;
+                }
+                this.log('debug', `Reply ${replies.length + 1}: ${String(data).substring(0, 120)}`);
+                replies.push(message);
+                if (replies.length === frames.length) {
+                    clearTimeout(timer);
+                    ws.close();
+                    resolve(replies);
+                }
+            });
+            ws.on('close', () => {
+                clearTimeout(timer);
+                resolve(replies);
+            });
+            ws.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Open `sessions` WebSockets to one page target at once, then send
+     * `messages` Runtime.evaluate calls on each, one in flight per session.
+     * Reports connection setup time, round-trip latency and throughput.
+     */
+    async benchmark(sessions, messages) {
+        const targets = await this.listTargets();
+        const target = targets.find(t => t.type === 'page' && t.webSocketDebuggerUrl);
+        if (!target) {
+            throw new Error('No page target found to benchmark');
+        }
+        // Same correction as testWebSocketConnection: keep the path, use our host and port
+        const wsUrl = this.webSocketUrl(target);
+        this.log('info', `Benchmarking ${wsUrl}: ${sessions} session(s) x ${messages} Runtime.evaluate call(s)`);
+
+        const setupTimes = [];
+        const opened = await Promise.allSettled(Array.from({ length: sessions }, () => this.openBenchSocket(wsUrl, setupTimes)));
+        const sockets = opened.filter(result => result.status === 'fulfilled').map(result => result.value);
+        const failure = opened.find(result => result.status === 'rejected');
+
+        const latencies = [];
+        const started = performance.now();
+        try {
+            if (failure) {
+                throw new Error(`${sessions - sockets.length} of ${sessions} session(s) failed to connect: ${failure.reason.message}`);
+            }
+            await Promise.all(sockets.map(ws => this.sendBenchMessages(ws, messages, latencies)));
+        } finally {
+            sockets.forEach(ws => ws.terminate());
+        }
+        const duration = performance.now() - started;
+
+        return {
+            host: this.config.host,
+            port: this.config.port,
+            url: wsUrl,
+            sessions,
+            messages,
+            setup: summarizeTimings(setupTimes),
+            latency: summarizeTimings(latencies),
+            messagesPerSecond: Math.round(latencies.length / (duration / 1000)),
+            duration: Math.round(duration)
+        };
+    }
+
+    /**
+     * Open one benchmark WebSocket, recording how long the upgrade took
+     */
+    openBenchSocket(wsUrl, setupTimes) {
+        return new Promise((resolve, reject) => {
+            const started = performance.now();
+            const ws = new WebSocket(wsUrl, { ...this.socketOptions(), perMessageDeflate: false, handshakeTimeout: this.config.timeout });
+            ws.once('open', () => {
+                setupTimes.push(performance.now() - started);
+                resolve(ws);
+            });
+            ws.once('error', reject);
+        });
+    }
+
+    /**
+     * Send `count` Runtime.evaluate calls one after another, recording each
+     * round trip; events on the socket are ignored
+     */
+    sendBenchMessages(ws, count, latencies) {
+        return new Promise((resolve, reject) => {
+            let id = 0;
+            let sentAt = 0;
+            let timer = null;
+
+            const sendNext = () => {
+                if (id === count) {
+                    resolve();
+                    return;
+                }
+                id++;
+                timer = setTimeout(() => reject(new Error(`No reply to message ${id} within ${this.config.timeout}ms`)), this.config.timeout);
+                sentAt = performance.now();
+                ws.send(JSON.stringify({ id, method: 'Runtime.evaluate', params: { expression: `${id} + 1`, returnByValue: true } }));
+            };
+
+            ws.on('message', (data) => {
+                const message = parseMessage(data);
+                if (!message) {
+                    clearTimeout(timer);
+                    reject(new Error(`Reply to message ${id} is not JSON: ${String(data).substring(0, 120)}`));
+                    return;
+                }
+                if (message.id !== id) {
+                    return;
+                }
+                latencies.push(performance.now() - sentAt);
+                clearTimeout(timer);
+                if (message.error) {
+                    reject(new Error(`Runtime.evaluate failed: ${message.error.message}`));
+                    return;
+                }
+                sendNext();
+            });
+            ws.on('close', (code) => {
+                clearTimeout(timer);
+                reject(new Error(`Session closed with code ${code} after ${id - 1} of ${count} message(s)`));
+            });
+            ws.on('error', reject);
+            sendNext();
+        });
+    }
+
+    /**
+     * Run one test and add its start time and duration (ms) to the result
+     */
+    async runTimed(test) {
+        const started = Date.now();
+        const result = await test();
+        return { ...result, startedAt: new Date(started).toISOString(), duration: Date.now() - started };
+    }
+
     /**
      * Run comprehensive test suite
      */
@@ -315,7 +1161,7 @@ class ChromeDebuggerTester {
         this.log('info', '=== Chrome Remote Debugger Connection Test Suite ===');
         this.log('info', `Target: ${this.config.host}:${this.config.port}`);
         this.log('info', `Timeout: ${this.config.timeout}ms`);
-        console.log('');
+        this.print('');
 
         const results = {
             connectivity: { success: false },
@@ -326,22 +1172,22 @@ class ChromeDebuggerTester {
 
         try {
             // Test 1: Basic connectivity
-            results.connectivity = await this.testConnectivity();
+            results.connectivity = await this.runTimed(() => this.testConnectivity());
             if (!results.connectivity.success) {
                 return this.generateReport(results);
             }
 
             // Test 2: WebSocket connection
-            results.websocket = await this.testWebSocketConnection();
+            results.websocket = await this.runTimed(() => this.testWebSocketConnection());
             if (!results.websocket.success) {
                 return this.generateReport(results);
             }
 
             // Test 3: JavaScript execution
-            results.javascript = await this.testJavaScriptExecution();
+            results.javascript = await this.runTimed(() => this.testJavaScriptExecution());
 
             // Test 4: Page navigation
-            results.navigation = await this.testNavigation();
+            results.navigation = await this.runTimed(() => this.testNavigation());
 
             return this.generateReport(results);
 
@@ -369,25 +1215,25 @@ class ChromeDebuggerTester {
         const totalTests = Object.keys(results).length;
         const passedTests = Object.values(results).filter(r => r.success).length;
         
-        console.log('');
+        this.print('');
         this.log('info', '=== Test Report ===');
-        console.log(chalk.cyan(`Duration: ${duration}ms`));
-        console.log(chalk.cyan(`Tests: ${passedTests}/${totalTests} passed`));
-        console.log('');
+        this.print(chalk.cyan(`Duration: ${duration}ms`));
+        this.print(chalk.cyan(`Tests: ${passedTests}/${totalTests} passed`));
+        this.print('');
 
         // Individual test results
-        console.log(chalk.bold('Test Results:'));
+        this.print(chalk.bold('Test Results:'));
         Object.entries(results).forEach(([test, result]) => {
             const status = result.success ? chalk.green('✓ PASS') : chalk.red('✗ FAIL');
             const testName = test.charAt(0).toUpperCase() + test.slice(1).replace(/([A-Z])/g, ' $1');
-            console.log(`  ${status} ${testName}`);
+            this.print(`  ${status} ${testName}`);
             
             if (!result.success && result.error) {
-                console.log(chalk.red(`    Error: ${result.error}`));
+                this.print(chalk.red(`    Error: ${result.error}`));
             }
         });
 
-        console.log('');
+        this.print('');
 
         // Overall result
         const allPassed = passedTests === totalTests;
@@ -399,6 +1245,9 @@ class ChromeDebuggerTester {
 
         return {
             success: allPassed,
+            host: this.config.host,
+            port: this.config.port,
+            startedAt: new Date(this.startTime).toISOString(),
             results,
             duration,
             passedTests,
@@ -406,12 +1255,77 @@ class ChromeDebuggerTester {
         };
     }
 
+    /**
+     * One monitoring check: connectivity, WebSocket and JavaScript execution,
+     * each timed, stopping at the first stage that fails. The connection is
+     * closed afterwards so checks can repeat.
+     */
+    async runHealthCheck() {
+        const stages = [
+            ['connectivity', () => this.testConnectivity()],
+            ['websocket', () => this.testWebSocketConnection()],
+            ['javascript', () => this.testJavaScriptExecution()]
+        ];
+        const results = {};
+
+        try {
+            for (const [stage, test] of stages) {
+                results[stage] = await this.runTimed(test);
+                if (!results[stage].success) {
+                    break;
+                }
+            }
+        } finally {
+            if (this.client) {
+                try {
+                    await this.client.close();
+                } catch (error) {
+                    this.log('warn', `Failed to close connection cleanly: ${error.message}`);
+                }
+                this.client = null;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Run the full suite, or only `testType`, and return a report. Unlike
+     * runFullTest, a single test is reported in the same shape and its
+     * connection is closed afterwards.
+     */
+    async run(testType = null) {
+        if (!testType) {
+            return this.runFullTest();
+        }
+
+        const result = await this.testSpecific(testType);
+        if (this.client) {
+            try {
+                await this.client.close();
+            } catch (error) {
+                this.log('warn', `Failed to close connection cleanly: ${error.message}`);
+            }
+        }
+        return {
+            success: result.success,
+            host: this.config.host,
+            port: this.config.port,
+            startedAt: result.startedAt,
+            duration: result.duration,
+            results: { [testType]: result }
+        };
+    }
+
     /**
      * Test specific functionality
      */
     async testSpecific(testType) {
+        this.startTime = Date.now();
         this.log('info', `Running specific test: ${testType}`);
-        
+        return this.runTimed(() => this.runSpecific(testType));
+    }
+
+    async runSpecific(testType) {
         switch (testType) {
             case 'connectivity':
                 return await this.testConnectivity();
@@ -429,6 +1343,12 @@ class ChromeDebuggerTester {
                     return await this.testNavigation();
                 }
                 return navWsResult;
+            case 'ordering':
+                return await this.testMessageOrdering();
+            case 'stress':
+                return await this.testStress();
+            case 'longevity':
+                return await this.testLongevity();
             default:
                 this.log('error', `Unknown test type: ${testType}`);
                 return { success: false, error: 'Unknown test type' };
@@ -436,6 +1356,9 @@ class ChromeDebuggerTester {
     }
 }
 
+// Set by the action of the command selected on the command line
+let command = 'test';
+
 // CLI Configuration
 program
     .name('test-connection')
@@ -445,24 +1368,431 @@ program
     .option('-p, --port <port>', 'Chrome debugger port (nginx proxy)', (val) => parseInt(val), DEFAULT_CONFIG.port)
     .option('-t, --timeout <ms>', 'Connection timeout in milliseconds', (val) => parseInt(val), DEFAULT_CONFIG.timeout)
     .option('-v, --verbose', 'Enable verbose logging', DEFAULT_CONFIG.verbose)
-    .option('--test <type>', 'Run specific test (connectivity|websocket|javascript|navigation)')
+    .option('--test <type>', 'Run specific test (connectivity|websocket|javascript|navigation|ordering|stress|longevity)')
+    .option('--duration <duration>', 'How long --test longevity holds the session (e.g. 90s, 15m)', '10m')
+    .option('--idle-gap <duration>', 'Time between commands in --test longevity', '60s')
+    .option('--keepalive <duration>', 'WebSocket ping interval in --test longevity (0 = off)', '0')
     .option('--list-targets', 'List available debugging targets')
-    .option('--target <id>', 'Connect to specific target ID');
+    .option('--target <id>', 'Connect to specific target ID')
+    .option('--resilient', 'Reconnect and resume the session if the WebSocket drops')
+    .option('--secure', 'Connect over https/wss (TLS-terminating proxy)')
+    .option('--ca <file>', 'CA certificate (PEM) to verify the server with, for --secure')
+    .option('--cert <file>', 'Client certificate (PEM) for --secure')
+    .option('--key <file>', 'Client private key (PEM) for --cert')
+    .option('--insecure', 'Do not verify the server certificate with --secure')
+    .option('--token <token>', 'Bearer token for an authenticating proxy (default: $CHROME_DEBUGGER_TOKEN)')
+    .option('--browser <name>', 'Browser to test behind the multiplexing proxy (multiplex-proxy.js)')
+    .option('--reporter <type>', `Report format (${REPORTERS.join('|')})`, 'text')
+    .option('--output <file>', 'Write the json/junit report to a file instead of stdout')
+    .option('--targets-file <file>', 'Check every endpoint listed in a YAML or JSON file')
+    .option('--concurrency <n>', 'Endpoints checked in parallel with --targets-file', (val) => parseInt(val), DEFAULT_CONCURRENCY)
+    .option('--watch', 'Check continuously and serve Prometheus metrics')
+    .option('--interval <duration>', 'Time between --watch checks (e.g. 500ms, 30s, 5m)', DEFAULT_WATCH_INTERVAL)
+    .option('--metrics-port <port>', 'Port for the --watch /metrics endpoint', (val) => parseInt(val), DEFAULT_METRICS_PORT)
+    .option('--metrics-host <host>', 'Address for the --watch /metrics endpoint', '0.0.0.0')
+    .action(() => {
+        command = 'test';
+    });
 
-program.parse();
+const benchCommand = program
+    .command('bench')
+    .description('Measure CDP latency and throughput through the proxy, and directly against Chrome for comparison')
+    .option('-n, --sessions <n>', 'Concurrent CDP sessions', (val) => parseInt(val), DEFAULT_BENCH_SESSIONS)
+    .option('-m, --messages <n>', 'Runtime.evaluate calls per session', (val) => parseInt(val), DEFAULT_BENCH_MESSAGES)
+    .option('--direct <host:port>', 'Chrome debugging port to compare against', DEFAULT_DIRECT_ENDPOINT)
+    .option('--no-direct', 'Only benchmark through the proxy')
+    .action(() => {
+        command = 'bench';
+    });
 
-const options = program.opts();
+// Parsed in main(), so requiring this file as a library leaves argv alone
+let options = {};
 
-// Main execution
-async function main() {
-    const tester = new ChromeDebuggerTester({
-        host: options.host,
-        port: options.port,
+/**
+ * Tester settings that come from the command line, shared by every mode.
+ * The longevity flags are only parsed for --test longevity, so a bad value
+ * there cannot stop any other run.
+ */
+function testerOptions() {
+    return {
         timeout: options.timeout,
-        verbose: options.verbose
+        verbose: options.verbose,
+        ...(options.test === 'longevity' ? longevityOptions() : {}),
+        resilient: options.resilient,
+        secure: options.secure,
+        ca: options.ca,
+        cert: options.cert,
+        key: options.key,
+        insecure: options.insecure,
+        token: options.token || process.env.CHROME_DEBUGGER_TOKEN,
+        browser: options.browser
+    };
+}
+
+function longevityOptions() {
+    return {
+        duration: parseDuration(options.duration),
+        idleGap: parseDuration(options.idleGap),
+        keepalive: parseDuration(options.keepalive)
+    };
+}
+
+/**
+ * Write a json/junit report to --output, or to stdout
+ */
+function writeReport(content) {
+    if (options.output) {
+        fs.writeFileSync(options.output, content);
+        console.error(chalk.gray(`Report written to ${options.output}`));
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+/**
+ * Read the endpoints for a fleet check. The file holds a list (or an
+ * `endpoints:` key with a list) whose entries are either "host:port" strings
+ * or objects with `host`, `port` and an optional `label`. A port may be a
+ * range such as "48100-48110", which expands to one endpoint per port.
+ */
+function loadTargetsFile(file) {
+    // JSON is valid YAML, so one parser covers both formats
+    const document = yaml.load(fs.readFileSync(file, 'utf8'));
+    const entries = Array.isArray(document) ? document : document && document.endpoints;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`${file}: expected a non-empty list of endpoints`);
+    }
+
+    const endpoints = [];
+    entries.forEach((entry, index) => {
+        let { label, host, port } = typeof entry === 'string' ? {} : entry || {};
+        if (typeof entry === 'string') {
+            const separator = entry.lastIndexOf(':');
+            host = separator > 0 ? entry.slice(0, separator) : entry;
+            port = separator > 0 ? entry.slice(separator + 1) : DEFAULT_CONFIG.port;
+        }
+        if (!host) {
+            throw new Error(`${file}: endpoint ${index + 1} has no host`);
+        }
+
+        const [start, end = start] = String(port || DEFAULT_CONFIG.port).split('-').map(Number);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || end < start) {
+            throw new Error(`${file}: endpoint ${index + 1} has an invalid port: ${port}`);
+        }
+        for (let current = start; current <= end; current++) {
+            const name = label && start !== end ? `${label}:${current}` : label;
+            endpoints.push({ label: name || `${host}:${current}`, host, port: current });
+        }
+    });
+    return endpoints;
+}
+
+/**
+ * Call `task` for every item, with at most `concurrency` calls in flight,
+ * and resolve with the results in item order
+ */
+async function runWithConcurrency(items, concurrency, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+    return results;
+}
+
+/**
+ * Run a ChromeDebuggerTester against every endpoint, at most `concurrency`
+ * at a time, and return their reports in file order
+ */
+async function runFleet(endpoints, concurrency, print) {
+    return runWithConcurrency(endpoints, concurrency, async (endpoint) => {
+        const tester = new ChromeDebuggerTester({
+            ...testerOptions(),
+            host: endpoint.host,
+            port: endpoint.port,
+            label: endpoint.label,
+            logToStderr: options.reporter !== 'text' && !options.output,
+            // Interleaved output from parallel checks is only useful when debugging
+            quiet: !options.verbose
+        });
+        const report = await tester.run(options.test);
+        if (!options.verbose) {
+            const status = report.success ? chalk.green('✓') : chalk.red('✗');
+            print(`${status} ${endpoint.label} (${endpoint.host}:${endpoint.port})`);
+        }
+        return { ...report, label: endpoint.label };
+    });
+}
+
+/**
+ * Print one row per endpoint with its result and the first failure
+ */
+function printFleetSummary(reports, print) {
+    const rows = reports.map((report) => {
+        const results = Object.values(report.results);
+        const failed = Object.entries(report.results).find(([, result]) => !result.success && result.error);
+        return {
+            label: report.label,
+            endpoint: `${report.host}:${report.port}`,
+            success: report.success,
+            tests: `${results.filter(result => result.success).length}/${results.length}`,
+            duration: `${report.duration}ms`,
+            detail: failed ? `${failed[0]}: ${failed[1].error}` : ''
+        };
+    });
+
+    const headers = { label: 'Label', endpoint: 'Endpoint', status: 'Status', tests: 'Tests', duration: 'Duration' };
+    const width = key => Math.max(headers[key].length, ...rows.map(row => (key === 'status' ? 4 : row[key].length)));
+    const columns = ['label', 'endpoint', 'status', 'tests', 'duration'].map(key => ({ key, width: width(key) }));
+
+    print('');
+    print(chalk.bold(columns.map(({ key, width: w }) => headers[key].padEnd(w)).join('  ') + '  Details'));
+    rows.forEach((row) => {
+        const cells = columns.map(({ key, width: w }) => {
+            if (key === 'status') {
+                return row.success ? chalk.green('PASS'.padEnd(w)) : chalk.red('FAIL'.padEnd(w));
+            }
+            return row[key].padEnd(w);
+        });
+        print(row.detail ? `${cells.join('  ')}  ${chalk.red(row.detail)}` : cells.join('  ').trimEnd());
     });
 
+    const passed = rows.filter(row => row.success).length;
+    print('');
+    print(chalk.cyan(`Endpoints: ${passed}/${rows.length} passed`));
+}
+
+/**
+ * Check every endpoint in --targets-file. Exits 0 when all pass, 2 when only
+ * some fail, and 1 when all fail.
+ */
+async function checkFleet(machineReport) {
+    const endpoints = loadTargetsFile(options.targetsFile);
+    const print = machineReport && !options.output ? console.error : console.log;
+    print(chalk.blue(`Checking ${endpoints.length} endpoint(s) from ${options.targetsFile}, ${options.concurrency} at a time`));
+
+    const reports = await runFleet(endpoints, options.concurrency, print);
+    printFleetSummary(reports, print);
+    if (machineReport) {
+        writeReport(formatFleetReport(reports, options.reporter));
+    }
+
+    const passed = reports.filter(report => report.success).length;
+    if (passed === reports.length) {
+        return 0;
+    }
+    return passed === 0 ? 1 : 2;
+}
+
+/**
+ * Parse a duration such as "500ms", "30s", "5m" or "1h" (plain numbers are
+ * seconds) into milliseconds
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    return Math.round(parseFloat(match[1]) * units[match[2] || 's']);
+}
+
+/**
+ * --watch: check every endpoint on a loop and serve the results at
+ * /metrics. A new round starts `interval` after the previous one started,
+ * or immediately if it took longer than that.
+ */
+async function watch() {
+    const interval = parseDuration(options.interval);
+    const endpoints = options.targetsFile
+        ? loadTargetsFile(options.targetsFile)
+        : [{ label: `${options.host}:${options.port}`, host: options.host, port: options.port }];
+    const metrics = new WatchMetrics();
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(metrics.render());
+        } else if (req.url === '/health') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('test-connection watch OK\n');
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+        }
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.metricsPort, options.metricsHost, resolve);
+    });
+    console.log(chalk.blue(`Watching ${endpoints.length} endpoint(s) every ${options.interval}`));
+    console.log(chalk.blue(`Metrics at http://${options.metricsHost}:${options.metricsPort}/metrics`));
+
+    const check = async (endpoint) => {
+        const tester = new ChromeDebuggerTester({
+            ...testerOptions(),
+            host: endpoint.host,
+            port: endpoint.port,
+            label: endpoint.label,
+            quiet: !options.verbose
+        });
+        const results = await tester.runHealthCheck();
+        Object.entries(results).forEach(([stage, result]) => {
+            metrics.observe(endpoint.label, stage, result.duration, result.success);
+        });
+
+        const failed = Object.entries(results).find(([, result]) => !result.success);
+        metrics.completeCheck(endpoint.label, {
+            success: !failed,
+            targets: results.connectivity.targets ? results.connectivity.targets.length : undefined,
+            failedStage: failed && failed[0],
+            // Truncated so one flaky endpoint cannot produce huge label values
+            error: failed && String(failed[1].error || 'unknown error').substring(0, 200)
+        });
+
+        const timestamp = new Date().toISOString();
+        if (failed) {
+            console.log(chalk.red(`[${timestamp}] ✗ ${endpoint.label}: ${failed[0]} failed: ${failed[1].error}`));
+        } else {
+            const timings = Object.entries(results).map(([stage, result]) => `${stage} ${result.duration}ms`).join(', ');
+            console.log(chalk.green(`[${timestamp}] ✓ ${endpoint.label}: ${timings}`));
+        }
+    };
+
+    for (;;) {
+        const started = Date.now();
+        await runWithConcurrency(endpoints, options.concurrency, check);
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, interval - (Date.now() - started))));
+    }
+}
+
+/**
+ * Print proxy and direct benchmark results side by side with the difference
+ */
+function printBenchSummary(results, print) {
+    const { proxy, direct } = results;
+    const rows = [
+        ['Setup p50 (ms)', r => r.setup.p50],
+        ['Setup p95 (ms)', r => r.setup.p95],
+        ['Latency p50 (ms)', r => r.latency.p50],
+        ['Latency p95 (ms)', r => r.latency.p95],
+        ['Latency p99 (ms)', r => r.latency.p99],
+        ['Latency max (ms)', r => r.latency.max],
+        ['Messages/sec', r => r.messagesPerSecond]
+    ];
+    const hasDirect = direct && !direct.error;
+    const header = ['Metric', `Proxy ${proxy.host}:${proxy.port}`];
+    if (hasDirect) {
+        header.push(`Direct ${direct.host}:${direct.port}`, 'Nginx overhead');
+    }
+
+    const table = rows.map(([name, value]) => {
+        const row = [name, String(value(proxy))];
+        if (hasDirect) {
+            const difference = value(proxy) - value(direct);
+            const percent = value(direct) ? ` (${difference >= 0 ? '+' : ''}${Math.round((difference / value(direct)) * 100)}%)` : '';
+            row.push(String(value(direct)), `${difference >= 0 ? '+' : ''}${Math.round(difference * 100) / 100}${percent}`);
+        }
+        return row;
+    });
+    const widths = header.map((cell, index) => Math.max(cell.length, ...table.map(row => row[index].length)));
+    const format = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    print('');
+    print(chalk.bold(`Benchmark: ${proxy.sessions} session(s) x ${proxy.messages} Runtime.evaluate call(s)`));
+    print(chalk.bold(format(header)));
+    table.forEach(row => print(format(row)));
+    if (direct && direct.error) {
+        print(chalk.yellow(`Direct comparison unavailable: ${direct.error}`));
+    }
+}
+
+/**
+ * bench: run the same load through the proxy and then directly against
+ * Chrome, one after the other so they do not compete. Exits 1 if the proxy
+ * run fails; a failed direct run only drops the comparison.
+ */
+async function bench() {
+    const benchOptions = benchCommand.opts();
+    if (!(benchOptions.sessions > 0) || !(benchOptions.messages > 0)) {
+        throw new Error('--sessions and --messages must be positive numbers');
+    }
+    if (options.reporter === 'junit') {
+        throw new Error('bench supports the text and json reporters');
+    }
+    const machineReport = options.reporter === 'json';
+    const print = machineReport && !options.output ? console.error : console.log;
+
+    // Chrome's own debugging port never speaks TLS or serves /browser/<name>/, only the proxy may
+    const runs = [{ name: 'proxy', host: options.host, port: options.port, secure: Boolean(options.secure), browser: options.browser }];
+    if (benchOptions.direct) {
+        const separator = benchOptions.direct.lastIndexOf(':');
+        runs.push({
+            name: 'direct',
+            host: separator > 0 ? benchOptions.direct.slice(0, separator) : benchOptions.direct,
+            port: separator > 0 ? parseInt(benchOptions.direct.slice(separator + 1)) : 9222,
+            secure: false,
+            browser: null
+        });
+    }
+
+    const results = {};
+    for (const run of runs) {
+        const tester = new ChromeDebuggerTester({
+            ...testerOptions(),
+            host: run.host,
+            port: run.port,
+            secure: run.secure,
+            browser: run.browser,
+            label: run.name,
+            logToStderr: machineReport && !options.output
+        });
+        try {
+            results[run.name] = await tester.benchmark(benchOptions.sessions, benchOptions.messages);
+            tester.log('success', `✓ ${results[run.name].latency.count} round trips in ${results[run.name].duration}ms`);
+        } catch (error) {
+            tester.log('error', `✗ Benchmark failed: ${error.message}`);
+            results[run.name] = { host: run.host, port: run.port, error: error.message };
+        }
+    }
+
+    if (!results.proxy.error) {
+        printBenchSummary(results, print);
+    }
+    if (machineReport) {
+        writeReport(JSON.stringify(results, null, 2) + '\n');
+    }
+    return results.proxy.error ? 1 : 0;
+}
+
+// Main execution
+async function main() {
+    program.parse();
+    options = program.opts();
+
+    if (!REPORTERS.includes(options.reporter)) {
+        console.error(chalk.red(`Unknown reporter: ${options.reporter} (expected ${REPORTERS.join('|')})`));
+        process.exit(1);
+    }
+    const machineReport = options.reporter !== 'text';
+
     try {
+        const tester = new ChromeDebuggerTester({
+            ...testerOptions(),
+            host: options.host,
+            port: options.port,
+            // Keep stdout clean for a report written there
+            logToStderr: machineReport && !options.output
+        });
+        // Unreadable certificate files are fatal, not a failure of every test
+        tester.tlsOptions();
+
         if (options.listTargets) {
             const result = await tester.testConnectivity();
             if (result.success && result.targets) {
@@ -478,13 +1808,24 @@ async function main() {
             return;
         }
 
-        if (options.test) {
-            const result = await tester.testSpecific(options.test);
-            process.exit(result.success ? 0 : 1);
-        } else {
-            const report = await tester.runFullTest();
-            process.exit(report.success ? 0 : 1);
+        if (command === 'bench') {
+            process.exit(await bench());
+        }
+
+        if (options.watch) {
+            await watch();
+            return;
         }
+
+        if (options.targetsFile) {
+            process.exit(await checkFleet(machineReport));
+        }
+
+        const report = await tester.run(options.test);
+        if (machineReport) {
+            writeReport(formatReport(report, options.reporter));
+        }
+        process.exit(report.success ? 0 : 1);
     } catch (error) {
         console.error(chalk.red('Fatal error:'), error.message);
         if (options.verbose) {
@@ -494,20 +1835,22 @@ async function main() {
     }
 }
 
-// Handle unhandled rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
-    process.exit(1);
-});
+if (require.main === module) {
+    // Handle unhandled rejections
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
+        process.exit(1);
+    });
 
-// Handle SIGINT (Ctrl+C)
-process.on('SIGINT', () => {
-    console.log(chalk.yellow('\nReceived SIGINT. Exiting gracefully...'));
-    process.exit(0);
-});
+    // Handle SIGINT (Ctrl+C)
+    process.on('SIGINT', () => {
+        console.log(chalk.yellow('\nReceived SIGINT. Exiting gracefully...'));
+        process.exit(0);
+    });
 
-if (require.main === module) {
     main();
 }
 
-module.exports = ChromeDebuggerTester;
\ No newline at end of file
+module.exports = ChromeDebuggerTester;
+module.exports.ChromeDebuggerTester = ChromeDebuggerTester;
+module.exports.ResilientClient = ResilientClient;
@@ -0,0 +1,209 @@
+/**
+ * Machine-readable reports for test-connection.js
+ *
+ * Turns the report returned by ChromeDebuggerTester.generateReport into JSON
+ * or JUnit XML so CI can tell which stage failed without parsing the
+ * colored console output.
+ *
+ * Author: Terragon Labs
+ */
+
+const os = require('os');
+
+const REPORTERS = ['text', 'json', 'junit'];
+
+/**
+ * Status of a single test result: tests that were never reached because an
+ * earlier stage failed carry no duration
+ */
+function testStatus(result) {
+    if (result.success) {
+        return 'passed';
+    }
+    return result.duration === undefined ? 'skipped' : 'failed';
+}
+
+/**
+ * Plain, serializable view of one test result (results can hold live
+ * CDP clients, which must not end up in the report)
+ */
+function describeTest(name, result) {
+    const test = {
+        name,
+        status: testStatus(result),
+        startedAt: result.startedAt,
+        duration: result.duration,
+        error: result.error
+    };
+    if (result.targetId) {
+        test.targetId = result.targetId;
+    }
+    if (result.targets) {
+        test.targetIds = result.targets.map(target => target.id);
+    }
+    if (result.connectionMethod) {
+        test.connectionMethod = result.connectionMethod;
+        test.connectionUrl = result.connectionUrl;
+    }
+    if (result.connectionAttempts && result.connectionAttempts.length > 0) {
+        test.connectionAttempts = result.connectionAttempts;
+    }
+    if (result.limits) {
+        test.limits = result.limits;
+    }
+    if (result.session) {
+        test.session = result.session;
+    }
+    return test;
+}
+
+function jsonReport(report) {
+    const tests = Object.entries(report.results).map(([name, result]) => describeTest(name, result));
+    return {
+        label: report.label,
+        success: report.success,
+        host: report.host,
+        port: report.port,
+        startedAt: report.startedAt,
+        duration: report.duration,
+        passed: tests.filter(test => test.status === 'passed').length,
+        failed: tests.filter(test => test.status === 'failed').length,
+        skipped: tests.filter(test => test.status === 'skipped').length,
+        tests
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and newlines are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * <testsuite> element for one endpoint's report
+ */
+function junitSuite(report) {
+    const tests = Object.entries(report.results).map(([name, result]) => describeTest(name, result));
+    const failures = tests.filter(test => test.status === 'failed').length;
+    const skipped = tests.filter(test => test.status === 'skipped').length;
+    const suiteName = `chrome-debugger ${report.label ? `${report.label} ` : ''}${report.host}:${report.port}`;
+
+    const properties = [
+        ['label', report.label],
+        ['host', report.host],
+        ['port', report.port]
+    ].filter(([, value]) => value !== undefined).map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`);
+
+    const cases = tests.map((test) => {
+        const lines = [`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(test.name)}" time="${seconds(test.duration)}">`];
+        if (test.status === 'failed') {
+            lines.push(`      <failure message="${escapeXml(test.error || 'Test failed')}" type="${escapeXml(test.name)}">${escapeXml(test.error || '')}</failure>`);
+        } else if (test.status === 'skipped') {
+            lines.push('      <skipped message="Not run because an earlier stage failed"/>');
+        }
+
+        const details = [];
+        if (test.targetId) {
+            details.push(`targetId: ${test.targetId}`);
+        }
+        if (test.targetIds) {
+            details.push(`targetIds: ${test.targetIds.join(', ')}`);
+        }
+        if (test.connectionMethod) {
+            details.push(`connection: ${test.connectionMethod} (${test.connectionUrl})`);
+        }
+        (test.connectionAttempts || []).forEach((attempt) => {
+            details.push(`connection attempt ${attempt.method} failed: ${attempt.error}`);
+        });
+        Object.entries(test.limits || {}).forEach(([name, limit]) => {
+            details.push(limit && typeof limit === 'object'
+                ? `${name}: largest ${limit.largest} bytes${limit.failedAt ? `, failed at ${limit.failedAt} bytes: ${limit.error}` : ''}`
+                : `${name}: ${limit}`);
+        });
+        if (test.session) {
+            details.push(`session: open ${test.session.openFor}ms, closed by ${test.session.closedBy} with code ${test.session.closeCode} after ${test.session.idleBeforeClose}ms idle`);
+        }
+        if (details.length > 0) {
+            lines.push(`      <system-out>${escapeXml(details.join('\n'))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+        return lines.join('\n');
+    });
+
+    return {
+        tests: tests.length,
+        failures,
+        skipped,
+        xml: [
+            `  <testsuite name="${escapeXml(suiteName)}" tests="${tests.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(report.duration)}" timestamp="${report.startedAt}" hostname="${escapeXml(os.hostname())}">`,
+            '    <properties>',
+            ...properties,
+            '    </properties>',
+            ...cases,
+            '  </testsuite>'
+        ].join('\n')
+    };
+}
+
+/**
+ * JUnit XML document with one <testsuite> per report
+ */
+function formatJUnit(reports) {
+    const suites = reports.map(junitSuite);
+    const total = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+    const duration = Math.max(0, ...reports.map(report => report.duration || 0));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="test-connection" tests="${total('tests')}" failures="${total('failures')}" skipped="${total('skipped')}" time="${seconds(duration)}">`,
+        ...suites.map(suite => suite.xml),
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render a report in the given format ('json' or 'junit')
+ */
+function formatReport(report, reporter) {
+    switch (reporter) {
+        case 'json':
+            return JSON.stringify(jsonReport(report), null, 2) + '\n';
+        case 'junit':
+            return formatJUnit([report]);
+        default:
+            throw new Error(`Unknown reporter: ${reporter} (expected ${REPORTERS.join('|')})`);
+    }
+}
+
+/**
+ * Render the reports of a fleet check, one per endpoint
+ */
+function formatFleetReport(reports, reporter) {
+    switch (reporter) {
+        case 'json':
+            return JSON.stringify({
+                success: reports.every(report => report.success),
+                passed: reports.filter(report => report.success).length,
+                failed: reports.filter(report => !report.success).length,
+                endpoints: reports.map(jsonReport)
+            }, null, 2) + '\n';
+        case 'junit':
+            return formatJUnit(reports);
+        default:
+            throw new Error(`Unknown reporter: ${reporter} (expected ${REPORTERS.join('|')})`);
+    }
+}
+
+module.exports = {
+    REPORTERS,
+    formatReport,
+    formatFleetReport
+};
@@ -0,0 +1,122 @@
+/**
+ * Prometheus metrics for test-connection.js --watch
+ *
+ * Keeps per-endpoint, per-stage check results in memory and renders them in
+ * the Prometheus text exposition format for the /metrics endpoint.
+ *
+ * Author: Terragon Labs
+ */
+
+// Histogram buckets for stage latency, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class WatchMetrics {
+    constructor() {
+        // Keyed by JSON-encoded label sets so each series is rendered once
+        this.histograms = new Map();
+        this.counters = new Map();
+        this.targets = new Map();
+        this.up = new Map();
+        this.lastCheck = new Map();
+        this.lastErrors = new Map();
+    }
+
+    /**
+     * Record one stage run: its latency and whether it succeeded
+     */
+    observe(endpoint, stage, durationMs, success) {
+        const key = JSON.stringify({ endpoint, stage });
+        if (!this.histograms.has(key)) {
+            this.histograms.set(key, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+        }
+        const histogram = this.histograms.get(key);
+        const seconds = durationMs / 1000;
+        LATENCY_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) {
+                histogram.buckets[index]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+
+        const counterKey = JSON.stringify({ endpoint, stage, result: success ? 'success' : 'failure' });
+        this.counters.set(counterKey, (this.counters.get(counterKey) || 0) + 1);
+    }
+
+    /**
+     * Record the outcome of a whole check cycle for an endpoint
+     */
+    completeCheck(endpoint, { success, targets, failedStage, error }) {
+        this.up.set(endpoint, success ? 1 : 0);
+        this.lastCheck.set(endpoint, Date.now() / 1000);
+        if (targets !== undefined) {
+            this.targets.set(endpoint, targets);
+        }
+        // Only the most recent error is kept, so an endpoint has at most one series
+        if (!success) {
+            this.lastErrors.set(endpoint, { stage: failedStage, error, time: Date.now() / 1000 });
+        }
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     */
+    render() {
+        const lines = [];
+
+        lines.push('# HELP chrome_debugger_stage_duration_seconds Latency of each check stage');
+        lines.push('# TYPE chrome_debugger_stage_duration_seconds histogram');
+        this.histograms.forEach((histogram, key) => {
+            const labels = JSON.parse(key);
+            LATENCY_BUCKETS.forEach((bound, index) => {
+                lines.push(`chrome_debugger_stage_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${histogram.buckets[index]}`);
+            });
+            lines.push(`chrome_debugger_stage_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+            lines.push(`chrome_debugger_stage_duration_seconds_sum${formatLabels(labels)} ${histogram.sum}`);
+            lines.push(`chrome_debugger_stage_duration_seconds_count${formatLabels(labels)} ${histogram.count}`);
+        });
+
+        lines.push('# HELP chrome_debugger_checks_total Check stages run, by result');
+        lines.push('# TYPE chrome_debugger_checks_total counter');
+        this.counters.forEach((value, key) => {
+            lines.push(`chrome_debugger_checks_total${formatLabels(JSON.parse(key))} ${value}`);
+        });
+
+        lines.push('# HELP chrome_debugger_up Whether the last check of the endpoint passed every stage');
+        lines.push('# TYPE chrome_debugger_up gauge');
+        this.up.forEach((value, endpoint) => {
+            lines.push(`chrome_debugger_up${formatLabels({ endpoint })} ${value}`);
+        });
+
+        lines.push('# HELP chrome_debugger_targets Debugging targets listed by /json/list at the last check');
+        lines.push('# TYPE chrome_debugger_targets gauge');
+        this.targets.forEach((value, endpoint) => {
+            lines.push(`chrome_debugger_targets${formatLabels({ endpoint })} ${value}`);
+        });
+
+        lines.push('# HELP chrome_debugger_last_check_timestamp_seconds Unix time of the last completed check');
+        lines.push('# TYPE chrome_debugger_last_check_timestamp_seconds gauge');
+        this.lastCheck.forEach((value, endpoint) => {
+            lines.push(`chrome_debugger_last_check_timestamp_seconds${formatLabels({ endpoint })} ${value}`);
+        });
+
+        lines.push('# HELP chrome_debugger_last_error_timestamp_seconds Unix time of the most recent failure, labeled with its stage and error');
+        lines.push('# TYPE chrome_debugger_last_error_timestamp_seconds gauge');
+        this.lastErrors.forEach(({ stage, error, time }, endpoint) => {
+            lines.push(`chrome_debugger_last_error_timestamp_seconds${formatLabels({ endpoint, stage, error })} ${time}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = WatchMetrics;